@@ -10,10 +10,11 @@
  * - Add to cart functionality
  */
 
-// Import Three.js and addons (using importmap)
-import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+// Three.js r128 and addons via the shared loader (prinjekt-three-loader.js) -
+// the same pinned build as the master logic, assigned in init()
+let THREE;
+let OrbitControls;
+let STLLoader;
 
 /**
  * Main configuration object
@@ -70,7 +71,9 @@ class PrinjektConfigurator {
         dismissBtn: document.getElementById(`prinjekt-dismiss-${this.sectionId}`)
       };
       
-      // Setup Three.js viewer
+      // Load Three.js (theme assets first, CDN fallback), then setup the viewer
+      THREE = await window.PrinjektThree.load(['three', 'orbit', 'stl']);
+      ({ OrbitControls, STLLoader } = THREE);
       this.setupViewer();
       
       // Load parameters from API
@@ -83,3 +83,108 @@ class CustomerAddresses {
     }
   };
 }
+
+class SavedConfigurations extends HTMLElement {
+  connectedCallback() {
+    if (typeof PrinjektSavedConfigs === 'undefined') return;
+
+    this.client = new PrinjektSavedConfigs({
+      apiBase: this.dataset.apiBase,
+      customerId: this.dataset.customerId,
+      signature: this.dataset.signature,
+    });
+    this.list = this.querySelector('[data-saved-configs-list]');
+    this.status = this.querySelector('[data-saved-configs-status]');
+    this.template = this.querySelector('template');
+    this.addEventListener('click', this._handleClick);
+    this.load();
+  }
+
+  async load() {
+    try {
+      this.configs = await this.client.list();
+      this.render();
+    } catch (error) {
+      console.error(error);
+      this._setStatus(this.dataset.errorMessage);
+    }
+  }
+
+  render() {
+    this.list.replaceChildren(...this.configs.map((config) => this._renderItem(config)));
+    this._setStatus(this.configs.length === 0 ? this.dataset.emptyMessage : '');
+  }
+
+  _renderItem(config) {
+    const item = this.template.content.firstElementChild.cloneNode(true);
+    const field = (name) => item.querySelector(`[data-field="${name}"]`);
+    const locale = document.documentElement.lang || undefined;
+    const url = config.productUrl ? `${config.productUrl}?saved_config=${encodeURIComponent(config.id)}` : null;
+
+    item.dataset.id = config.id;
+    if (config.thumbnailUrl) {
+      field('thumbnail').src = config.thumbnailUrl;
+    } else {
+      field('thumbnail').remove();
+    }
+    field('name').textContent = config.name;
+    field('product').textContent = config.productTitle;
+    field('summary').textContent = config.summary;
+    field('price').textContent =
+      config.price !== null
+        ? new Intl.NumberFormat(locale, { style: 'currency', currency: config.currencyCode || this.dataset.currency }).format(config.price)
+        : '';
+    field('date').textContent = config.updatedAt ? new Date(config.updatedAt).toLocaleDateString(locale) : '';
+    if (url) {
+      field('open').href = url;
+    } else {
+      field('open').remove();
+    }
+    return item;
+  }
+
+  _setStatus(message) {
+    this.status.textContent = message || '';
+    this.status.hidden = !message;
+  }
+
+  _handleClick = async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const id = button.closest('[data-id]').dataset.id;
+
+    // eslint-disable-next-line no-alert
+    if (button.dataset.action === 'delete' && !confirm(button.dataset.confirmMessage)) return;
+
+    // Blocks repeat clicks while the request runs (aria-disabled does not)
+    button.disabled = true;
+    try {
+      if (button.dataset.action === 'duplicate') {
+        const copy = await this.client.duplicate(id);
+        this.configs.unshift(copy);
+        this.render();
+      } else if (button.dataset.action === 'delete') {
+        await this.client.remove(id);
+        this.configs = this.configs.filter((config) => config.id !== id);
+        this.render();
+      } else if (button.dataset.action === 'cart') {
+        const line = await this.client.cartLine(id);
+        const response = await fetch(`${routes.cart_add_url}`, {
+          ...fetchConfig(),
+          body: JSON.stringify({ id: line.variantId, quantity: line.quantity, properties: line.properties }),
+        });
+        if (!response.ok) throw new Error(`Failed to add to cart: ${response.status}`);
+        window.location.href = routes.cart_url;
+      }
+    } catch (error) {
+      console.error(error);
+      this._setStatus(this.dataset.errorMessage);
+    } finally {
+      button.disabled = false;
+    }
+  };
+}
+
+if (!customElements.get('saved-configurations')) {
+  customElements.define('saved-configurations', SavedConfigurations);
+}
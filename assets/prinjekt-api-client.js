@@ -0,0 +1,250 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - API CLIENT
+ * ============================================================================
+ * Headless fetch layer for the backend and Shopify cart calls of the master logic:
+ * - Typed errors (validation, generation, variant, cart, timeout, offline, network, server)
+ * - Per-request timeouts
+ * - Exponential backoff retries for idempotent calls (Retry-After respected)
+ * - Idempotent calls made while offline wait for the connection (navigator.onLine)
+ * NO UI - user-facing messages per error type live in the sections.
+ * Usage:
+ * const api = new PrinjektApi.PrinjektApiClient({ timeout: 20000 });
+ * const response = await api.request(url, { method: 'POST', body, idempotent: true });
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  // ========== ERROR TYPES ==========
+  const ERROR_TYPES = {
+    VALIDATION: 'validation', // Backend rejected the parameter values (400/422)
+    GENERATION: 'generation', // Geometry could not be generated or loaded
+    VARIANT: 'variant',       // /create_variant failed
+    CART: 'cart',             // Shopify cart API failed
+    TIMEOUT: 'timeout',
+    OFFLINE: 'offline',
+    NETWORK: 'network',       // Request failed while online (DNS, CORS, connection reset)
+    SERVER: 'server'          // Any other error response
+  };
+
+  const VALIDATION_STATUS = [400, 422];
+  // Temporary failures - only retried for idempotent requests
+  const RETRY_STATUS = [408, 425, 429, 502, 503, 504];
+
+  class PrinjektApiError extends Error {
+    /**
+     * @param {string} type - One of ERROR_TYPES
+     * @param {string} message - Technical message (console, fallback text)
+     * @param {Object} [details] - { status, detail, errors, retryable, cause }
+     */
+    constructor(type, message, details = {}) {
+      super(message);
+      this.name = 'PrinjektApiError';
+      this.type = type;
+      this.status = details.status || null;
+      this.detail = details.detail || null;
+      this.errors = details.errors || null;
+      this.retryable = details.retryable === true;
+      this.cause = details.cause || null;
+    }
+  }
+
+  // ========== HELPERS ==========
+  function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  function abortError() {
+    return new DOMException('The operation was aborted', 'AbortError');
+  }
+
+  /**
+   * Resolve after ms, reject with AbortError when the signal fires
+   */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Resolve once the browser is back online, reject with AbortError when the signal fires
+   */
+  function waitForOnline(signal) {
+    return new Promise((resolve, reject) => {
+      if (!isOffline()) {
+        resolve();
+        return;
+      }
+      const cleanup = () => {
+        window.removeEventListener('online', onOnline);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const onOnline = () => {
+        cleanup();
+        resolve();
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(abortError());
+      };
+      window.addEventListener('online', onOnline);
+      if (signal) signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  /**
+   * Message and field errors from an error response (JSON { message|error|detail, errors } or text)
+   * @returns {Promise<Object>} { detail, errors }
+   */
+  async function readErrorBody(response) {
+    const text = await response.text().catch(() => '');
+    try {
+      const data = JSON.parse(text);
+      const detail = data.message || data.error || data.detail || data.description || text;
+      return {
+        detail: typeof detail === 'string' ? detail : JSON.stringify(detail),
+        errors: data.errors || null
+      };
+    } catch (parseError) {
+      return { detail: text || response.statusText || null, errors: null };
+    }
+  }
+
+  // ========== CLIENT ==========
+  class PrinjektApiClient {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeout=30000] - Default timeout per attempt (ms)
+     * @param {number} [options.retries=3] - Retries for idempotent requests
+     * @param {number} [options.retryDelay=500] - First backoff delay (ms), doubled per retry
+     * @param {number} [options.maxRetryDelay=8000] - Backoff cap (ms)
+     */
+    constructor(options = {}) {
+      this.timeout = options.timeout || 30000;
+      this.retries = options.retries !== undefined ? options.retries : 3;
+      this.retryDelay = options.retryDelay || 500;
+      this.maxRetryDelay = options.maxRetryDelay || 8000;
+    }
+
+    /**
+     * Fetch with timeout, typed errors and (for idempotent requests) retries
+     * @param {string} url - Request URL
+     * @param {Object} [options]
+     * @param {string} [options.method='GET'] - HTTP method
+     * @param {Object} [options.headers] - Request headers
+     * @param {*} [options.body] - Request body, sent as is
+     * @param {string} [options.credentials] - fetch credentials mode
+     * @param {AbortSignal} [options.signal] - Caller cancellation, rejected with the AbortError
+     * @param {number} [options.timeout] - Timeout per attempt (ms)
+     * @param {boolean} [options.idempotent=false] - Safe to repeat: retried with backoff, queued while offline
+     * @param {string} [options.errorType='server'] - Type of error responses outside validationStatus
+     * @param {Array<number>} [options.validationStatus=[400, 422]] - Status codes reported as validation errors
+     * @returns {Promise<Response>} Successful response
+     */
+    async request(url, options = {}) {
+      const { method = 'GET', headers, body, credentials, signal, idempotent = false } = options;
+      const timeout = options.timeout || this.timeout;
+      const retries = idempotent ? this.retries : 0;
+      const errorType = options.errorType || ERROR_TYPES.SERVER;
+      const validationStatus = options.validationStatus || VALIDATION_STATUS;
+      let attempt = 0;
+
+      while (true) {
+        if (isOffline()) {
+          if (!idempotent) {
+            throw new PrinjektApiError(ERROR_TYPES.OFFLINE, 'No internet connection', { retryable: true });
+          }
+          console.log('[Prinjekt API] Offline - request queued until the connection is back:', url);
+          await waitForOnline(signal);
+        }
+
+        // Timeout and caller cancellation share one controller - the caller can still cancel the body download
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        if (signal) {
+          if (signal.aborted) controller.abort();
+          else signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        let response = null;
+        let error = null;
+        try {
+          response = await fetch(url, { method, headers, body, credentials, signal: controller.signal });
+        } catch (fetchError) {
+          if (signal && signal.aborted) throw fetchError;
+          if (controller.signal.aborted) {
+            error = new PrinjektApiError(ERROR_TYPES.TIMEOUT, `Request timed out after ${timeout} ms`, { retryable: true, cause: fetchError });
+          } else if (isOffline()) {
+            error = new PrinjektApiError(ERROR_TYPES.OFFLINE, 'No internet connection', { retryable: true, cause: fetchError });
+          } else {
+            error = new PrinjektApiError(ERROR_TYPES.NETWORK, `Network request failed: ${fetchError.message}`, { retryable: true, cause: fetchError });
+          }
+        } finally {
+          clearTimeout(timer);
+        }
+
+        if (response && response.ok) {
+          return response;
+        }
+        if (response) {
+          const { detail, errors } = await readErrorBody(response);
+          error = new PrinjektApiError(
+            validationStatus.includes(response.status) ? ERROR_TYPES.VALIDATION : errorType,
+            `HTTP ${response.status}${detail ? `: ${detail}` : ''}`,
+            { status: response.status, detail, errors, retryable: RETRY_STATUS.includes(response.status) }
+          );
+        }
+
+        // Lost connection - wait for it instead of spending a retry
+        if (idempotent && error.type === ERROR_TYPES.OFFLINE) {
+          continue;
+        }
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+
+        const delay = this._retryDelay(attempt, response);
+        attempt++;
+        console.warn(`[Prinjekt API] ${error.message} - retry ${attempt}/${retries} in ${Math.round(delay)} ms`);
+        await sleep(delay, signal);
+      }
+    }
+
+    /**
+     * Backoff with jitter, or the server's Retry-After (seconds) if given
+     */
+    _retryDelay(attempt, response) {
+      const retryAfter = response ? parseFloat(response.headers.get('Retry-After')) : NaN;
+      if (retryAfter > 0) {
+        return Math.min(this.maxRetryDelay, retryAfter * 1000);
+      }
+      const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
+      return delay / 2 + Math.random() * (delay / 2);
+    }
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektApi = {
+    PrinjektApiClient,
+    PrinjektApiError,
+    ERROR_TYPES
+  };
+
+  console.log('[Prinjekt API] Module loaded');
+
+})(window);
@@ -7,7 +7,7 @@
  * - Three.js 3D rendering
  * - API communication with backend
  * - State management
- * - Model loading (DRACO compression)
+ * - Model loading (DRACO compression, decoded in Web Workers)
  * - Parameter handling
  * - Cart operations
  * NO UI COMPONENTS - Pure logic only
@@ -27,48 +27,781 @@
 
   // ========== THREE.JS LIBRARY LOADER ==========
   /**
-   * Dynamically loads Three.js libraries from CDN
-   * Required because Shopify CDN doesn't host specialized 3D libraries
-   * DRACO decoder requires specific versioned files from Google's CDN
+   * Load Three.js r128, OrbitControls and DRACOLoader
+   * Pinned versions, theme-hosted copies with CDN fallback (see prinjekt-three-loader.js)
    */
   async function loadThreeJSLibraries() {
-    if (window.THREE && window.THREE.OrbitControls && window.THREE.DRACOLoader) {
-      console.log('[Prinjekt Master] ✓ Three.js libraries already loaded');
-      return true;
+    if (!window.PrinjektThree) {
+      throw new Error('prinjekt-three-loader.js is required');
     }
-    
-    return new Promise((resolve, reject) => {
-      console.log('[Prinjekt Master] Loading Three.js libraries...');
-      
-      const threeScript = document.createElement('script');
-      threeScript.src = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
-      threeScript.async = true;
-      threeScript.onload = () => {
-        console.log('[Prinjekt Master] ✓ THREE.js loaded');
-        
-        const orbitScript = document.createElement('script');
-        orbitScript.src = 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/controls/OrbitControls.js';
-        orbitScript.async = true;
-        orbitScript.onload = () => {
-          console.log('[Prinjekt Master] ✓ OrbitControls loaded');
-          
-          const dracoScript = document.createElement('script');
-          dracoScript.src = 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/DRACOLoader.js';
-          dracoScript.async = true;
-          dracoScript.onload = () => {
-            console.log('[Prinjekt Master] ✓ DRACOLoader loaded');
-            console.log('[Prinjekt Master] ✓ All libraries ready');
-            resolve(true);
+    await window.PrinjektThree.load(['three', 'orbit', 'draco']);
+    console.log('[Prinjekt Master] ✓ All libraries ready');
+    return true;
+  }
+
+  // ========== MODEL CACHE ==========
+  // Entries carry the backend price - bump the format or let them expire so old prices are never reused
+  const MODEL_CACHE_FORMAT = 2;
+  const MODEL_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+  /**
+   * Fast non-cryptographic string hash (cyrb53), returned as hex
+   * @param {string} str - Input string
+   * @returns {string} Hash
+   */
+  function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+
+  /**
+   * Bounded LRU cache for generated models (DRACO blob + pricing headers)
+   * Entries are kept in memory; with persistent: true they are mirrored to
+   * IndexedDB so previously previewed configurations survive a reload.
+   */
+  class ModelCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=20] - Max entries held in memory
+     * @param {boolean} [options.persistent=false] - Mirror entries to IndexedDB
+     * @param {number} [options.maxPersistentEntries=50] - Max entries kept in IndexedDB
+     * @param {number} [options.ttl=86400000] - Max age of an entry (ms) - its price may be outdated after that
+     * @param {string} [options.version] - Shop-defined version; entries stored under another version are purged
+     */
+    constructor(options = {}) {
+      this.maxEntries = options.maxEntries || 20;
+      this.ttl = options.ttl || MODEL_CACHE_TTL;
+      this.version = `${MODEL_CACHE_FORMAT}:${options.version || ''}`;
+      this.maxPersistentEntries = options.maxPersistentEntries || 50;
+      this.persistent = options.persistent === true && typeof window.indexedDB !== 'undefined';
+      this.entries = new Map();
+      this.dbPromise = null;
+    }
+
+    /**
+     * Canonical key for a product and its normalized parameter values
+     * Parameter order does not influence the key.
+     * @param {string} productGid - Shopify product GID
+     * @param {Object} values - Normalized parameter values by name
+     * @returns {string} Cache key
+     */
+    static keyFor(productGid, values) {
+      const sorted = Object.keys(values).sort().map(name => [name, values[name]]);
+      return hashString(JSON.stringify([productGid, sorted]));
+    }
+
+    /**
+     * Look up an entry, promoting it to most recently used
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { blob, headers } or null
+     */
+    async get(key) {
+      if (this.entries.has(key)) {
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        if (!this._isExpired(entry)) {
+          this.entries.set(key, entry);
+          return entry;
+        }
+      }
+      
+      if (!this.persistent) return null;
+      
+      try {
+        const stored = await this._request('readonly', store => store.get(key));
+        if (!stored) return null;
+        if (stored.version !== this.version || this._isExpired(stored)) {
+          this._request('readwrite', store => store.delete(key)).catch(() => {});
+          return null;
+        }
+        
+        const entry = { blob: stored.blob, headers: stored.headers, createdAt: stored.createdAt };
+        this._remember(key, entry);
+        this._request('readwrite', store => store.put({ ...stored, lastUsed: Date.now() })).catch(() => {});
+        return entry;
+      } catch (error) {
+        console.warn('[Prinjekt Master] Model cache read failed:', error);
+        return null;
+      }
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Cache key
+     * @param {Object} entry - { blob, headers }
+     */
+    set(key, entry) {
+      entry = { ...entry, createdAt: Date.now() };
+      this._remember(key, entry);
+      
+      if (!this.persistent) return;
+      
+      this._request('readwrite', store => store.put({ key, ...entry, version: this.version, lastUsed: Date.now() }))
+        .then(() => this._prune())
+        .catch(error => console.warn('[Prinjekt Master] Model cache write failed:', error));
+    }
+
+    /**
+     * Remove all entries (memory and IndexedDB)
+     */
+    async clear() {
+      this.entries.clear();
+      if (!this.persistent) return;
+      try {
+        await this._request('readwrite', store => store.clear());
+      } catch (error) {
+        console.warn('[Prinjekt Master] Model cache clear failed:', error);
+      }
+    }
+
+    _isExpired(entry) {
+      return !entry.createdAt || Date.now() - entry.createdAt > this.ttl;
+    }
+
+    _remember(key, entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      while (this.entries.size > this.maxEntries) {
+        // Map keeps insertion order - the first key is the least recently used
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+
+    _openDb() {
+      if (!this.dbPromise) {
+        this.dbPromise = new Promise((resolve, reject) => {
+          const request = window.indexedDB.open('prinjekt-configurator', 1);
+          request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('models', { keyPath: 'key' });
+            store.createIndex('lastUsed', 'lastUsed');
           };
-          dracoScript.onerror = () => reject(new Error('Failed to load DRACOLoader'));
-          document.head.appendChild(dracoScript);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.dbPromise;
+    }
+
+    async _request(mode, operation) {
+      const db = await this._openDb();
+      return new Promise((resolve, reject) => {
+        const request = operation(db.transaction('models', mode).objectStore('models'));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    async _prune() {
+      const count = await this._request('readonly', store => store.count());
+      let excess = count - this.maxPersistentEntries;
+      if (excess <= 0) return;
+      
+      const db = await this._openDb();
+      const cursorRequest = db.transaction('models', 'readwrite')
+        .objectStore('models').index('lastUsed').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    }
+  }
+
+  // ========== URL STATE (SHAREABLE LINKS) ==========
+  /**
+   * Token format: <version><codec><base64url payload>
+   * codec 'z' = deflate compressed JSON, 'j' = plain JSON (no CompressionStream support)
+   * The payload only carries values that differ from the backend defaults.
+   */
+  const URL_STATE_VERSION = 1;
+
+  function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  }
+
+  async function transformBytes(bytes, stream) {
+    const transformed = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(transformed).arrayBuffer());
+  }
+
+  /**
+   * Encode parameter values into a compact URL token
+   * @param {Object} values - Parameter values by name
+   * @returns {Promise<string>} Token
+   */
+  async function encodeUrlState(values) {
+    const bytes = new TextEncoder().encode(JSON.stringify({ p: values }));
+    if (typeof window.CompressionStream === 'function') {
+      const compressed = await transformBytes(bytes, new window.CompressionStream('deflate'));
+      return `${URL_STATE_VERSION}z${bytesToBase64Url(compressed)}`;
+    }
+    return `${URL_STATE_VERSION}j${bytesToBase64Url(bytes)}`;
+  }
+
+  /**
+   * Decode a URL token created by encodeUrlState()
+   * @param {string} token - Token from the URL
+   * @returns {Promise<Object|null>} Parameter values or null if unreadable
+   */
+  async function decodeUrlState(token) {
+    const match = /^(\d+)([zj])(.+)$/.exec(token || '');
+    if (!match) return null;
+    
+    const version = parseInt(match[1], 10);
+    if (version > URL_STATE_VERSION) {
+      console.warn('[Prinjekt Master] Link was created by a newer configurator version:', version);
+      return null;
+    }
+    
+    let bytes = base64UrlToBytes(match[3]);
+    if (match[2] === 'z') {
+      if (typeof window.DecompressionStream !== 'function') {
+        console.warn('[Prinjekt Master] Compressed link not supported by this browser');
+        return null;
+      }
+      bytes = await transformBytes(bytes, new window.DecompressionStream('deflate'));
+    }
+    
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    return payload && typeof payload.p === 'object' ? payload.p : null;
+  }
+
+  // ========== CONFIGURATION FILES ==========
+  /**
+   * Saved configuration file format
+   * Version history:
+   * 1 - { version: '1.0', timestamp, modelUrl, parameters } (no product reference)
+   * 2 - { format, version: 2, productGid, timestamp, parameters, pricing, material? }
+   */
+  const CONFIG_FILE_FORMAT = 'prinjekt-config';
+  const CONFIG_FILE_VERSION = 2;
+
+  /**
+   * File format migrations, keyed by the version they upgrade FROM
+   */
+  const CONFIG_FILE_MIGRATIONS = {
+    1: (data) => ({
+      format: CONFIG_FILE_FORMAT,
+      version: 2,
+      productGid: null,
+      timestamp: data.timestamp || null,
+      parameters: data.parameters || {},
+      pricing: data.pricing || {}
+    })
+  };
+
+  /**
+   * Problem entry reported by the configuration validator
+   * @param {string} code - Machine readable code (e.g. 'out_of_range')
+   * @param {string} severity - 'error' (value not applied) or 'warning' (applied/adjusted)
+   * @param {string} message - Human readable description
+   * @param {Object} [details] - parameter, value, correctedValue ...
+   */
+  function configProblem(code, severity, message, details = {}) {
+    return { code, severity, message, ...details };
+  }
+
+  /**
+   * Bring a parsed configuration file to CONFIG_FILE_VERSION
+   * @param {Object} data - Parsed file
+   * @returns {Object} Migrated file
+   */
+  function migrateConfigFile(data) {
+    // v1 files carry version '1.0' as a string
+    let version = parseInt(data.version, 10) || 1;
+    let migrated = data;
+    
+    // Newer files may use fields this version would silently drop or misread
+    if (version > CONFIG_FILE_VERSION) {
+      throw new Error(`Configuration file version ${version} was created by a newer configurator`);
+    }
+    
+    while (version < CONFIG_FILE_VERSION) {
+      const migrate = CONFIG_FILE_MIGRATIONS[version];
+      if (!migrate) {
+        throw new Error(`No migration for configuration file version ${version}`);
+      }
+      migrated = migrate(migrated);
+      version = migrated.version;
+    }
+    
+    return migrated;
+  }
+
+  /**
+   * Check a single value against its backend parameter definition
+   * @param {Object} param - Parameter definition from /get_params
+   * @param {*} raw - Value from the configuration
+   * @param {boolean} strict - Reject instead of clamp out-of-range values
+   * @returns {{ value: *, problem: Object|null }} Value to apply (undefined if rejected)
+   */
+  function validateParameterValue(param, raw, strict) {
+    const name = param.name;
+    const options = param.dropdownOptions || param.options || param.allowedValues;
+    
+    if (options && options.length > 0) {
+      const match = options
+        .map(opt => (typeof opt === 'object' && opt !== null) ? opt.value : opt)
+        .find(optValue => String(optValue) === String(raw));
+      if (match === undefined) {
+        return {
+          value: undefined,
+          problem: configProblem('invalid_option', 'error', `"${raw}" is not an available option`, { parameter: name, value: raw })
         };
-        orbitScript.onerror = () => reject(new Error('Failed to load OrbitControls'));
-        document.head.appendChild(orbitScript);
+      }
+      return { value: match, problem: null };
+    }
+    
+    if (param.valueType === 'boolean') {
+      if (raw === true || raw === 'true') return { value: true, problem: null };
+      if (raw === false || raw === 'false') return { value: false, problem: null };
+      return {
+        value: undefined,
+        problem: configProblem('invalid_type', 'error', `"${raw}" is not a yes/no value`, { parameter: name, value: raw })
       };
-      threeScript.onerror = () => reject(new Error('Failed to load THREE.js'));
-      document.head.appendChild(threeScript);
+    }
+    
+    if (param.valueType === 'number') {
+      const number = typeof raw === 'number' ? raw : parseFloat(raw);
+      if (!isFinite(number)) {
+        return {
+          value: undefined,
+          problem: configProblem('invalid_type', 'error', `"${raw}" is not a number`, { parameter: name, value: raw })
+        };
+      }
+      
+      const range = param.rangeConfig || {};
+      const min = range.min !== undefined ? parseFloat(range.min) : -Infinity;
+      const max = range.max !== undefined ? parseFloat(range.max) : Infinity;
+      
+      if (number < min || number > max) {
+        const clamped = Math.min(max, Math.max(min, number));
+        if (strict) {
+          return {
+            value: undefined,
+            problem: configProblem('out_of_range', 'error', `${number} is outside ${range.min}–${range.max}`, { parameter: name, value: raw })
+          };
+        }
+        return {
+          value: clamped,
+          problem: configProblem('out_of_range', 'warning', `${number} was adjusted to ${clamped}`, { parameter: name, value: raw, correctedValue: clamped })
+        };
+      }
+      
+      const step = parseFloat(range.step);
+      if (step > 0) {
+        const base = isFinite(min) ? min : 0;
+        // Round to the step's precision to avoid floating point noise (0.30000000000000004)
+        const decimals = (String(step).split('.')[1] || '').length;
+        const snapped = parseFloat((base + Math.round((number - base) / step) * step).toFixed(decimals));
+        if (Math.abs(snapped - number) > 1e-9) {
+          return {
+            value: snapped,
+            problem: configProblem('step_mismatch', 'warning', `${number} was rounded to ${snapped}`, { parameter: name, value: raw, correctedValue: snapped })
+          };
+        }
+      }
+      
+      return { value: number, problem: null };
+    }
+    
+    return { value: raw === null || raw === undefined ? '' : String(raw), problem: null };
+  }
+
+  // ========== CONSTRAINT ENGINE ==========
+  /**
+   * Declarative parameter constraints from the /get_params metadata
+   * (either on the parameter itself or nested under `constraints`):
+   * - visibleIf: 'expr'   -> parameter hidden while false
+   * - enabledIf: 'expr'   -> parameter disabled while false
+   * - min / max: 'expr'   -> dynamic range, e.g. min: 'wall_thickness * 2'
+   * - exclusiveWith: ['other_param', ...] -> may not be active together
+   * - rules: [{ expression: 'expr', message: '...' }] -> must evaluate to true
+   * - dropdown options may carry disabledIf: 'expr'
+   * Expressions reference other parameters by name and support numbers, strings,
+   * true/false, + - * / %, comparisons, && || !, parentheses and
+   * min() max() abs() round() floor() ceil(). No eval - expressions are parsed here.
+   */
+  const EXPRESSION_TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(&&|\|\||==|!=|<=|>=|[-+*\/%<>!(),])|([A-Za-z_$][\w$]*))/y;
+  const EXPRESSION_FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil
+  };
+  const compiledExpressions = new Map();
+
+  function tokenizeExpression(source) {
+    const tokens = [];
+    EXPRESSION_TOKEN.lastIndex = 0;
+    while (EXPRESSION_TOKEN.lastIndex < source.length) {
+      if (/^\s*$/.test(source.slice(EXPRESSION_TOKEN.lastIndex))) break;
+      const start = EXPRESSION_TOKEN.lastIndex;
+      const match = EXPRESSION_TOKEN.exec(source);
+      if (!match) {
+        throw new Error(`Unexpected character at ${start} in "${source}"`);
+      }
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+      else if (match[3] !== undefined) tokens.push({ type: 'op', value: match[3] });
+      else tokens.push({ type: 'name', value: match[4] });
+    }
+    return tokens;
+  }
+
+  /**
+   * Compile an expression into a function (scope) => value
+   * @param {string} source - Expression
+   * @returns {Function} Compiled expression (cached)
+   */
+  function compileExpression(source) {
+    if (compiledExpressions.has(source)) return compiledExpressions.get(source);
+    
+    const tokens = tokenizeExpression(String(source));
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+    const expect = (op) => {
+      if (!isOp(op)) throw new Error(`Expected "${op}" in "${source}"`);
+      pos++;
+    };
+    const binary = (next, ops, apply) => () => {
+      let left = next();
+      while (isOp(...ops)) {
+        const op = tokens[pos++].value;
+        const l = left;
+        const r = next();
+        left = (scope) => apply(op, l(scope), r(scope));
+      }
+      return left;
+    };
+    
+    const parsePrimary = () => {
+      const token = tokens[pos++];
+      if (!token) throw new Error(`Unexpected end of "${source}"`);
+      if (token.type === 'number' || token.type === 'string') return () => token.value;
+      if (token.type === 'op' && token.value === '(') {
+        const inner = parseOr();
+        expect(')');
+        return inner;
+      }
+      if (token.type === 'name') {
+        if (token.value === 'true') return () => true;
+        if (token.value === 'false') return () => false;
+        if (isOp('(')) {
+          const fn = EXPRESSION_FUNCTIONS[token.value];
+          if (!fn) throw new Error(`Unknown function "${token.value}"`);
+          pos++;
+          const args = [];
+          if (!isOp(')')) {
+            args.push(parseOr());
+            while (isOp(',')) {
+              pos++;
+              args.push(parseOr());
+            }
+          }
+          expect(')');
+          return (scope) => fn(...args.map(arg => Number(arg(scope))));
+        }
+        return (scope) => {
+          if (!(token.value in scope)) throw new Error(`Unknown parameter "${token.value}"`);
+          return scope[token.value];
+        };
+      }
+      throw new Error(`Unexpected "${token.value}" in "${source}"`);
+    };
+    const parseUnary = () => {
+      if (isOp('!', '-')) {
+        const op = tokens[pos++].value;
+        const operand = parseUnary();
+        return op === '!' ? (scope) => !operand(scope) : (scope) => -Number(operand(scope));
+      }
+      return parsePrimary();
+    };
+    const parseTerm = binary(parseUnary, ['*', '/', '%'], (op, a, b) => {
+      a = Number(a); b = Number(b);
+      return op === '*' ? a * b : op === '/' ? a / b : a % b;
+    });
+    const parseAdditive = binary(parseTerm, ['+', '-'], (op, a, b) => (
+      op === '+' ? ((typeof a === 'string' || typeof b === 'string') ? `${a}${b}` : a + b) : Number(a) - Number(b)
+    ));
+    const parseComparison = binary(parseAdditive, ['<', '<=', '>', '>='], (op, a, b) => {
+      a = Number(a); b = Number(b);
+      return op === '<' ? a < b : op === '<=' ? a <= b : op === '>' ? a > b : a >= b;
+    });
+    // Loose equality on the string form, so 2 == '2' and true == 'true'
+    const parseEquality = binary(parseComparison, ['==', '!='], (op, a, b) => (
+      op === '==' ? String(a) === String(b) : String(a) !== String(b)
+    ));
+    const parseAnd = binary(parseEquality, ['&&'], (op, a, b) => a && b);
+    const parseOr = binary(parseAnd, ['||'], (op, a, b) => a || b);
+    
+    const compiled = parseOr();
+    if (pos < tokens.length) {
+      throw new Error(`Unexpected "${tokens[pos].value}" in "${source}"`);
+    }
+    compiledExpressions.set(source, compiled);
+    return compiled;
+  }
+
+  /**
+   * Evaluate an expression, falling back when it cannot be evaluated
+   * A broken expression must not lock customers out, so it is logged and ignored.
+   * @param {string} source - Expression
+   * @param {Object} scope - Parameter values by name
+   * @param {*} fallback - Result on error
+   * @returns {*} Expression result
+   */
+  function evaluateExpression(source, scope, fallback) {
+    try {
+      return compileExpression(source)(scope);
+    } catch (error) {
+      console.warn('[Prinjekt Master] Constraint expression failed:', error.message);
+      return fallback;
+    }
+  }
+
+  // ========== PARAMETER GROUPS ==========
+  const DEFAULT_PARAMETER_GROUP = 'Parameters';
+  // OpenSCAD customizer section comment, e.g. "/* [Dimensions] */" or "[Dimensions]"
+  const OPENSCAD_GROUP_PATTERN = /^\s*(?:\/\*\s*)?\[([^\]]+)\]\s*(?:\*\/)?\s*/;
+  // Customizer convention: parameters in [Hidden] are never shown
+  const HIDDEN_PARAMETER_GROUP = 'hidden';
+
+  /**
+   * Resolve the group of a backend parameter
+   * Prefers group/tab/section metadata, falls back to a customizer-style
+   * "[Group]" prefix in the description (which is then stripped).
+   * @param {Object} param - Backend parameter
+   * @param {string} description - Normalized description
+   * @returns {Object} { group, description }
+   */
+  function resolveParameterGroup(param, description) {
+    const explicit = String(param.group || param.tab || param.section || '').trim();
+    const explicitMatch = OPENSCAD_GROUP_PATTERN.exec(explicit);
+    if (explicit) {
+      return { group: explicitMatch ? explicitMatch[1].trim() : explicit, description };
+    }
+    
+    const descriptionMatch = OPENSCAD_GROUP_PATTERN.exec(description);
+    if (descriptionMatch) {
+      return { group: descriptionMatch[1].trim(), description: description.slice(descriptionMatch[0].length) };
+    }
+    return { group: null, description };
+  }
+
+  function parameterGroupId(group) {
+    return String(group).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group';
+  }
+
+  // ========== QUANTITY PRICING ==========
+  /**
+   * Normalize bulk price tiers
+   * Accepts backend tiers ([{ min_quantity, unit_price }] or [{ minQuantity, discount }])
+   * or the section setting format "50: 10" / "100: 15%" (quantity: discount in percent),
+   * one tier per line or comma-separated.
+   * @param {Array|string} source - Tier definitions
+   * @returns {Array<Object>} [{ minQuantity, unitPrice, discount }] sorted by quantity
+   */
+  function parsePriceTiers(source) {
+    if (!source) return [];
+    
+    let tiers = source;
+    if (typeof source === 'string') {
+      tiers = source.split(/[\n,;]+/).map(line => {
+        const match = /^\s*(\d+)\s*\+?\s*[:=]\s*(\d+(?:[.,]\d+)?)\s*%?\s*$/.exec(line);
+        return match ? { minQuantity: match[1], discount: match[2].replace(',', '.') } : null;
+      });
+    }
+    if (!Array.isArray(tiers)) return [];
+    
+    return tiers
+      .filter(tier => tier && typeof tier === 'object')
+      .map(tier => {
+        const unitPrice = parseFloat(tier.unitPrice !== undefined ? tier.unitPrice : (tier.unit_price !== undefined ? tier.unit_price : tier.price));
+        const discount = parseFloat(tier.discount !== undefined ? tier.discount : tier.discount_percent);
+        return {
+          minQuantity: parseInt(tier.minQuantity !== undefined ? tier.minQuantity : (tier.min_quantity !== undefined ? tier.min_quantity : tier.quantity), 10),
+          unitPrice: isNaN(unitPrice) ? null : unitPrice,
+          discount: isNaN(discount) ? null : Math.min(Math.max(discount, 0), 100)
+        };
+      })
+      .filter(tier => tier.minQuantity > 0 && (tier.unitPrice !== null || tier.discount !== null))
+      .sort((a, b) => a.minQuantity - b.minQuantity);
+  }
+
+  function roundPrice(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // ========== MATERIALS ==========
+  const DEFAULT_MODEL_COLOR = '#F59F27';
+  const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+  /**
+   * Parse a colour list ("Black: #000000" per line or comma-separated)
+   * @param {Array|string} source - Colour list
+   * @returns {Array<Object>} [{ name, hex }]
+   */
+  function parseColorList(source) {
+    if (!source) return [];
+    const entries = typeof source === 'string'
+      ? source.split(/[\n,;]+/).map(line => {
+          const match = /^\s*(?:(.*?)\s*:\s*)?(#[0-9a-f]{3,6})\s*$/i.exec(line);
+          return match ? { name: match[1] || match[2], hex: match[2] } : null;
+        })
+      : source;
+    return entries
+      .map(color => (typeof color === 'string' ? { name: color, hex: color } : color))
+      .filter(color => color && HEX_COLOR_PATTERN.test(color.hex));
+  }
+
+  function clampUnit(value, fallback) {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : Math.min(Math.max(number, 0), 1);
+  }
+
+  /**
+   * Normalize the material catalogue (shared by all sections, see snippets/prinjekt-materials.liquid)
+   * @param {Array<Object>} materials - [{ id, name, swatch, colors, roughness, metalness, opacity }]
+   * @returns {Array<Object>} [{ id, name, colors: [{ name, hex }], roughness, metalness, opacity }]
+   */
+  function normalizeMaterials(materials) {
+    if (!Array.isArray(materials)) return [];
+    return materials
+      .filter(material => material && (material.id || material.name))
+      .map(material => {
+        const colors = parseColorList(material.colors);
+        if (material.swatch && HEX_COLOR_PATTERN.test(material.swatch) && !colors.some(c => c.hex.toLowerCase() === material.swatch.toLowerCase())) {
+          colors.unshift({ name: material.swatchName || material.swatch, hex: material.swatch });
+        }
+        if (colors.length === 0) {
+          colors.push({ name: DEFAULT_MODEL_COLOR, hex: DEFAULT_MODEL_COLOR });
+        }
+        return {
+          id: String(material.id || material.name),
+          name: String(material.name || material.id),
+          colors,
+          roughness: clampUnit(material.roughness, 0.6),
+          metalness: clampUnit(material.metalness, 0.1),
+          opacity: clampUnit(material.opacity, 1) || 1
+        };
+      });
+  }
+
+  // ========== UNITS ==========
+  function formatMillimetres(value) {
+    return `${value >= 100 ? value.toFixed(0) : value.toFixed(1)} mm`;
+  }
+
+  // ========== CONFIGURATION SUMMARY ==========
+  /**
+   * Parse parameter display overrides for cart and order pages
+   * Accepts { name: 'Label' } / { name: { label, unit } } or the section setting
+   * format "wall_thickness: Wall thickness | mm", one parameter per line.
+   * @param {Object|string} source - Overrides
+   * @returns {Object} { name: { label, unit } }
+   */
+  function parseParameterLabels(source) {
+    const labels = {};
+    if (!source) return labels;
+    
+    if (typeof source === 'string') {
+      source.split(/\n+/).forEach(line => {
+        const match = /^\s*([^:|]+?)\s*:\s*([^|]*?)\s*(?:\|\s*(.*?)\s*)?$/.exec(line);
+        if (match) {
+          labels[match[1]] = { label: match[2] || null, unit: match[3] || null };
+        }
+      });
+      return labels;
+    }
+    
+    Object.entries(source).forEach(([name, entry]) => {
+      if (typeof entry === 'string') {
+        labels[name] = { label: entry, unit: null };
+      } else if (entry && typeof entry === 'object') {
+        labels[name] = { label: entry.label || null, unit: entry.unit || null };
+      }
     });
+    return labels;
+  }
+
+  // ========== IMAGE CAPTURE ==========
+  // Standard camera directions in viewer space (Y up, front = part -Y side)
+  const CAPTURE_VIEWS = {
+    front: { direction: [0, 0, 1] },
+    side: { direction: [1, 0, 0] },
+    top: { direction: [0, 1, 0], up: [0, 0, -1] },
+    iso: { direction: [1, 0.7, 1] }
+  };
+  const CAPTURE_FORMATS = { png: 'image/png', webp: 'image/webp', jpeg: 'image/jpeg' };
+  const MAX_CAPTURE_SIZE = 4096;
+  const CAPTURE_PADDING = 1.1;
+  const CART_THUMBNAIL = { width: 400, height: 400, transparent: true, format: 'png' };
+  const CART_SUMMARY_PARAMETERS = 3;
+
+  // ========== CART PROPERTIES ==========
+  // Line properties written next to the parameters (_config_<name>) - read by the cart
+  // and order templates, the upload tool and the backend
+  const RESERVED_CART_PROPERTIES = [
+    'price', 'volume', 'quantity', 'unit_price', 'material', 'material_id', 'color',
+    'finish', 'finish_id', 'summary', 'details', 'thumbnail', 'timestamp'
+  ];
+
+  /**
+   * Cart line property of a parameter: _config_<name>, or _param_<name> for a
+   * parameter named like a reserved entry (a parameter "color" would overwrite _config_color)
+   */
+  function parameterCartProperty(name) {
+    return RESERVED_CART_PROPERTIES.includes(name) ? `_param_${name}` : `_config_${name}`;
+  }
+
+  // ========== COMPARISON ==========
+  const MAX_PINNED_CONFIGURATIONS = 4;
+  const PIN_LABELS = 'ABCDEFGH';
+  const PIN_THUMBNAIL = { width: 320, height: 240, transparent: true, format: 'png' };
+  const GHOST_COLOR = 0x3B82F6;
+
+  // ========== QUOTES ==========
+  // JPEG - embedded into the PDF without re-encoding
+  const QUOTE_THUMBNAIL = { width: 800, height: 600, transparent: false, format: 'jpeg', quality: 0.9 };
+  const QUOTE_VAT_RATE = 19;
+  const QUOTE_VALIDITY_DAYS = 30;
+
+  // ========== API ERRORS ==========
+  const REQUEST_TIMEOUT = 20000;
+  // Geometry generation runs server-side CAD - much slower than the other calls
+  const GENERATE_TIMEOUT = 90000;
+  // Printability worker task - add to cart and quotes wait for it, the pool has no task timeout
+  const PRINTABILITY_TIMEOUT = 20000;
+
+  /**
+   * Typed error for failures after a successful response (see prinjekt-api-client.js)
+   */
+  function apiError(type, message, details) {
+    return new window.PrinjektApi.PrinjektApiError(type, message, details);
   }
 
   // ========== MAIN CONFIGURATOR CLASS ==========
@@ -83,18 +816,66 @@
      * @param {Function} [options.onStateChange] - Callback for state changes
      * @param {Function} [options.onError] - Callback for errors
      * @param {Object} [options.viewerSettings] - Initial viewer settings
+     * @param {boolean} [options.autoUpdate=false] - Regenerate automatically after parameter changes
+     * @param {number} [options.autoUpdateDelay=800] - Debounce delay for auto regeneration (ms)
+     * @param {Object|false} [options.cache] - Model cache options (see ModelCache), false disables caching
+     * @param {number} [options.historyLimit=50] - Max undo steps
+     * @param {number} [options.historyMergeWindow=1000] - Changes of the same parameter within this window (ms) form one undo step
+     * @param {boolean} [options.urlState=false] - Restore from and sync the configuration to the URL fragment
+     * @param {string} [options.urlStateKey='cfg'] - Fragment key used for the configuration token
+     * @param {Array|string} [options.priceTiers] - Bulk price tiers (see parsePriceTiers)
+     * @param {number} [options.minQuantity=1] - Minimum order quantity
+     * @param {number} [options.maxQuantity=10000] - Maximum order quantity
+     * @param {Array<Object>} [options.materials] - Material catalogue (see normalizeMaterials)
+     * @param {Object|false} [options.printability] - Printability check options (see prinjekt-printability.js), plus blockCart; false disables
+     * @param {boolean} [options.cartThumbnail=true] - Upload a rendered thumbnail with each cart line
+     * @param {Array<string>} [options.summaryParameters] - Parameters shown in the cart line summary (default: first visible ones)
+     * @param {Object|string} [options.parameterLabels] - Label/unit overrides for cart and order pages (see parseParameterLabels)
+     * @param {Object} [options.customer] - Logged-in customer { id, signature } for saved configurations (see prinjekt-saved-configs.js)
+     * @param {number} [options.requestTimeout=20000] - Timeout per API request (ms)
+     * @param {number} [options.generateTimeout=90000] - Timeout for /generate_stl (ms)
+     * @param {number} [options.requestRetries=3] - Retries for idempotent API requests (see prinjekt-api-client.js)
+     * @param {Object} [options.quote] - Quote options { vatRate, pricesIncludeVat, validityDays, seller, terms, locale, labels, submit } (see prinjekt-quote.js)
+     * @param {Array<string>} [options.workerScripts] - URLs of prinjekt-worker-pool.js, prinjekt-printability.js and prinjekt-geometry-tasks.js - DRACO decoding and printability run in Web Workers
      */
     constructor(options) {
       // Validate required options
       if (!options.apiBase) throw new Error('apiBase is required');
       if (!options.productGid) throw new Error('productGid is required');
       if (!options.canvas) throw new Error('canvas element is required');
+      if (!window.PrinjektApi) throw new Error('prinjekt-api-client.js is required');
+      if (!window.PrinjektThree) throw new Error('prinjekt-three-loader.js is required');
       
       // Configuration
       this.apiBase = options.apiBase;
       this.productGid = options.productGid;
       this.canvas = options.canvas;
       this.currencyCode = options.currencyCode || 'EUR';
+      this.api = new window.PrinjektApi.PrinjektApiClient({
+        timeout: options.requestTimeout || REQUEST_TIMEOUT,
+        retries: options.requestRetries
+      });
+      this.generateTimeout = options.generateTimeout || GENERATE_TIMEOUT;
+      this.autoUpdateDelay = options.autoUpdateDelay !== undefined ? options.autoUpdateDelay : 800;
+      this.priceTiers = parsePriceTiers(options.priceTiers);
+      this.minQuantity = Math.max(1, parseInt(options.minQuantity, 10) || 1);
+      this.maxQuantity = Math.max(this.minQuantity, parseInt(options.maxQuantity, 10) || 10000);
+      this.materials = normalizeMaterials(options.materials);
+      this.printabilityOptions = options.printability === false ? null : { blockCart: true, ...(options.printability || {}) };
+      this.cartThumbnail = options.cartThumbnail !== false;
+      const summaryParameters = (options.summaryParameters || []).map(name => String(name).trim()).filter(Boolean);
+      this.summaryParameters = summaryParameters.length > 0 ? summaryParameters : null;
+      this.parameterLabels = parseParameterLabels(options.parameterLabels);
+      this.customer = options.customer && options.customer.id && options.customer.signature ? options.customer : null;
+      this.savedConfigs = null;
+      this.quoteOptions = {
+        vatRate: QUOTE_VAT_RATE,
+        pricesIncludeVat: true,
+        validityDays: QUOTE_VALIDITY_DAYS,
+        submit: false,
+        ...(options.quote || {})
+      };
+      this.workerScripts = options.workerScripts || null;
       
       // Callbacks
       this.onStateChange = options.onStateChange || (() => {});
@@ -106,8 +887,30 @@
         initialized: false,
         parameters: {},
         pricing: {},
+        quantity: this.minQuantity,
+        quantityPricing: null,
+        material: null,
+        dimensions: null,
+        measureMode: false,
+        measurement: null,
+        printability: null,
+        // Analysis of the current model still running - cart and quote wait for it
+        printabilityPending: false,
+        editingLine: null,
+        pinnedConfigurations: [],
+        ghostConfigurationId: null,
         modelLoaded: false,
+        // { stage: generating|downloading|decoding|processing, loaded, total, percent } while a model loads
+        loadProgress: null,
         isDirty: false,
+        autoUpdate: options.autoUpdate === true,
+        canUndo: false,
+        canRedo: false,
+        configProblems: [],
+        constraints: {},
+        violations: [],
+        shareUrl: window.location.href,
+        offline: navigator.onLine === false,
         error: null
       };
       
@@ -120,6 +923,22 @@
       this.gridHelper = null;
       this.axesHelper = null;
       this.lights = [];
+      this.dimensionOverlay = null;
+      this.measureOverlay = null;
+      this.measurePoints = [];
+      this.printabilityOverlay = null;
+      this.printabilityFlags = null;
+      this.printabilityTimer = null;
+      this.printabilityAnalysis = null;
+      this.printabilityAnalysisDone = null;
+      this.modelSource = null;
+      this.pinnedGeometries = new Map();
+      this.pinCounter = 0;
+      this.ghostOverlay = null;
+      
+      // Geometry workers, main-thread DRACOLoader as fallback (both created on demand)
+      this.workerPool = null;
+      this.dracoLoader = null;
       
       // Viewer settings
       this.viewerSettings = {
@@ -128,13 +947,45 @@
         shadows: false, // Schatten sind deaktiviert
         wireframe: false,
         autoRotate: false,
+        dimensions: false,
+        printability: false,
         backgroundColor: '#F3F4F6',
         ...options.viewerSettings
       };
       
+      // Selected material - first catalogue entry, otherwise only the configured colour
+      const firstMaterial = this.materials[0];
+      this.state.material = firstMaterial
+        ? { id: firstMaterial.id, name: firstMaterial.name, color: firstMaterial.colors[0].hex, colorName: firstMaterial.colors[0].name }
+        : { id: null, name: null, color: HEX_COLOR_PATTERN.test(this.viewerSettings.modelColor || '') ? this.viewerSettings.modelColor : DEFAULT_MODEL_COLOR, colorName: null };
+      
       // Animation
       this.animationFrameId = null;
       
+      // Generation bookkeeping (debounce, cancellation, stale response guard)
+      this.autoUpdateTimer = null;
+      this.generateController = null;
+      this.generateRequestId = 0;
+      this.parameterRevision = 0;
+      
+      // Generated models by parameter set (undo/redo and A/B comparisons without backend roundtrip)
+      this.modelCache = options.cache === false ? null : new ModelCache(options.cache);
+      
+      // Undo/redo history (snapshots of parameter values)
+      this.undoStack = [];
+      this.redoStack = [];
+      this.historyLimit = options.historyLimit || 50;
+      this.historyMergeWindow = options.historyMergeWindow !== undefined ? options.historyMergeWindow : 1000;
+      this.historyGroupDepth = 0;
+      this.historyGroupRecorded = false;
+      this.lastHistoryParam = null;
+      this.lastHistoryTime = 0;
+      
+      // Shareable link state
+      this.urlStateEnabled = options.urlState === true;
+      this.urlStateKey = options.urlStateKey || 'cfg';
+      this.urlSyncTimer = null;
+      
       console.log('[Prinjekt Master] Configurator created');
     }
 
@@ -149,12 +1000,35 @@
         // Load Three.js libraries
         await loadThreeJSLibraries();
         
+        // DRACO decoding and printability checks off the main thread
+        if (this.workerScripts && window.PrinjektWorkerPool && typeof Worker !== 'undefined') {
+          try {
+            this.workerPool = new window.PrinjektWorkerPool.WorkerPool(this.workerScripts);
+          } catch (error) {
+            console.warn('[Prinjekt Master] Geometry workers unavailable - decoding on the main thread:', error.message);
+          }
+        }
+        
         // Initialize Three.js scene
         await this.initThreeJS();
         
+        // Requests made while offline wait in the API client - the UI only needs the flag
+        this.handleConnectionChange = () => this.updateState({ offline: navigator.onLine === false });
+        window.addEventListener('online', this.handleConnectionChange);
+        window.addEventListener('offline', this.handleConnectionChange);
+        
         // Load parameters from backend
         await this.loadParameters();
         
+        // Shared link: apply its configuration before the first generateModel()
+        if (this.urlStateEnabled) {
+          await this.restoreFromUrl();
+          
+          // Link pasted into the address bar of an already open configurator
+          this.handleHashChange = () => this.restoreFromUrl();
+          window.addEventListener('hashchange', this.handleHashChange);
+        }
+        
         // Start render loop
         this.startRenderLoop();
         
@@ -293,7 +1167,7 @@
       try {
         console.log('[Prinjekt Master] Loading parameters...');
         
-        const response = await fetch(`${this.apiBase}/get_params`, {
+        const response = await this.api.request(`${this.apiBase}/get_params`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -301,21 +1175,19 @@
           },
           body: JSON.stringify({
             shopify_id: this.productGid
-          })
+          }),
+          idempotent: true
         });
         
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
         const backendParams = await response.json();
         console.log('[Prinjekt Master] ✓ Parameters received:', backendParams.length);
         
         // Convert backend format to our format
         const parameters = {};
-        backendParams.forEach(param => {
-          const description = (param.description || param.tooltip || param.help || '').trim();
+        backendParams.forEach((param, index) => {
+          const { group, description } = resolveParameterGroup(param, (param.description || param.tooltip || param.help || '').trim());
           const defaultValue = param.defaultValue !== undefined ? param.defaultValue : (param.default !== undefined ? param.default : '');
+          const order = parseFloat(param.order);
           
           parameters[param.name] = {
             ...param,
@@ -323,12 +1195,16 @@
             defaultValue: defaultValue,
             value: defaultValue, 
             label: param.label || param.displayName || param.name.replace(/_/g, ' '),
-            description: description
+            description: description,
+            group: group,
+            order: isNaN(order) ? null : order,
+            position: index
           };
         });
         
         console.log('[Prinjekt Master] ✓ Parameters initialized:', Object.keys(parameters).length);
-        this.updateState({ parameters });
+        this.clearHistory();
+        this.updateState({ parameters, ...this._historyState() });
         
         return parameters;
       } catch (error) {
@@ -338,92 +1214,143 @@
     }
 
     /**
-     * Generate 3D model from current parameters
+     * Normalize current parameter values into the backend parameter format
+     * @param {Object} [parameters] - Parameter definitions, defaults to state.parameters
+     * @returns {Array<Object>} Parameters for /generate_stl
      */
-    async generateModel(calculatePrice = true) {
-      try {
-        this.updateState({ loading: true, error: null });
-        console.log('[Prinjekt Master] Generating model...');
+    _buildBackendParams(parameters = this.state.parameters) {
+      const backendParams = [];
+      Object.entries(parameters).forEach(([key, param]) => {
+        let val = param.value !== undefined ? param.value : param.defaultValue;
         
-        // Prepare parameters for backend
-        const backendParams = [];
-        Object.entries(this.state.parameters).forEach(([key, param]) => {
-          let val = param.value !== undefined ? param.value : param.defaultValue;
-          
-          if (param.valueType === 'number') {
-            val = parseFloat(val);
-            if (isNaN(val)) val = parseFloat(param.defaultValue) || 0;
-          } else if (param.valueType === 'boolean') {
-            if (val === null || val === undefined) {
-              val = param.defaultValue === true;
-            } else {
-              val = val === true || val === 'true' || val === 'yes';
-            }
-          } else if (param.valueType === 'string') {
-            if (val === null || val === undefined) {
-              val = param.defaultValue || '';
-            }
+        if (param.valueType === 'number') {
+          val = parseFloat(val);
+          if (isNaN(val)) val = parseFloat(param.defaultValue) || 0;
+        } else if (param.valueType === 'boolean') {
+          if (val === null || val === undefined) {
+            val = param.defaultValue === true;
+          } else {
+            val = val === true || val === 'true' || val === 'yes';
           }
-          
-          const cleanParam = {
-            name: key,
-            defaultValue: val,
-            description: param.description || '',
-            valueType: param.valueType || 'number',
-            widgetType: param.widgetType || 'SPINBOX'
-          };
-          
-          if (param.rangeConfig) cleanParam.rangeConfig = param.rangeConfig;
-          if (param.dropdownOptions) cleanParam.dropdownOptions = param.dropdownOptions;
-          
-          backendParams.push(cleanParam);
-        });
-        
-        console.log('[Prinjekt Master] Generating with', backendParams.length, 'parameters');
+        } else if (param.valueType === 'string') {
+          if (val === null || val === undefined) {
+            val = param.defaultValue || '';
+          }
+        }
         
-        // Call backend API
-        const response = await fetch(`${this.apiBase}/generate_stl`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            shopify_id: this.productGid,
-            parameters: backendParams
-          })
-        });
+        const cleanParam = {
+          name: key,
+          defaultValue: val,
+          description: param.description || '',
+          valueType: param.valueType || 'number',
+          widgetType: param.widgetType || 'SPINBOX'
+        };
         
-        console.log('[Prinjekt Master] Response status:', response.status);
+        if (param.rangeConfig) cleanParam.rangeConfig = param.rangeConfig;
+        if (param.dropdownOptions) cleanParam.dropdownOptions = param.dropdownOptions;
         
-        if (!response.ok) {
-          const errorText = await response.text().catch(() => 'No error message');
-          console.error('[Prinjekt Master] Backend error:', errorText);
-          throw new Error(`HTTP ${response.status}: ${errorText}`);
+        backendParams.push(cleanParam);
+      });
+      
+      return backendParams;
+    }
+
+    /**
+     * Generate 3D model from current parameters
+     * Identical parameter sets are served from the model cache.
+     */
+    async generateModel(calculatePrice = true) {
+      // Any pending debounced run is superseded by this call
+      this.cancelScheduledGenerate();
+      
+      // Abort the previous request - only the newest one may update model and price
+      if (this.generateController) {
+        this.generateController.abort();
+      }
+      const controller = new AbortController();
+      this.generateController = controller;
+      const requestId = ++this.generateRequestId;
+      const revision = this.parameterRevision;
+      const isStale = () => requestId !== this.generateRequestId;
+      // Progress of superseded requests must not overwrite the current one
+      const reportProgress = (stage, loaded, total) => {
+        if (!isStale()) this._setLoadProgress(stage, loaded, total);
+      };
+      
+      try {
+        // Invalid combinations never reach the server
+        if (this.state.violations.length > 0) {
+          throw new Error(this.state.violations.map(v => v.message).join(' '));
         }
         
-        // Get price from headers
-        const calculatedPrice = response.headers.get('X-Calculated-Price');
-        const estimatedVolume = response.headers.get('x-estimated-volume');
-        const originalSize = response.headers.get('x-original-size');
+        this.updateState({ loading: true, error: null });
+        reportProgress('generating');
+        console.log('[Prinjekt Master] Generating model...');
         
-        console.log('[Prinjekt Master] Price:', calculatedPrice, 'Volume:', estimatedVolume);
+        // Prepare parameters for backend
+        const backendParams = this._buildBackendParams();
         
-        if (calculatedPrice) {
-          const pricing = {
-            total: parseFloat(calculatedPrice),
-            volume: parseFloat(estimatedVolume || '0'),
-            originalSize: parseFloat(originalSize || '0')
+        const material = this.state.material.id;
+        const cacheKey = this.modelCache
+          ? ModelCache.keyFor(this.productGid, {
+              ...Object.fromEntries(backendParams.map(p => [p.name, p.defaultValue])),
+              '@material': material
+            })
+          : null;
+        let entry = cacheKey ? await this.modelCache.get(cacheKey) : null;
+        const fromCache = !!entry;
+        
+        if (fromCache) {
+          console.log('[Prinjekt Master] ✓ Model served from cache:', cacheKey);
+        } else {
+          console.log('[Prinjekt Master] Generating with', backendParams.length, 'parameters');
+          
+          // Call backend API - same parameters give the same geometry, so retries are safe
+          const response = await this.api.request(`${this.apiBase}/generate_stl`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              shopify_id: this.productGid,
+              parameters: backendParams,
+              ...(material && { material })
+            }),
+            signal: controller.signal,
+            timeout: this.generateTimeout,
+            idempotent: true,
+            errorType: 'generation'
+          });
+          
+          console.log('[Prinjekt Master] Response status:', response.status);
+          
+          if (isStale()) {
+            console.log('[Prinjekt Master] Discarding stale response #' + requestId);
+            return false;
+          }
+          
+          // Get DRACO blob together with the pricing headers
+          entry = {
+            blob: await this._readModelBlob(response, reportProgress),
+            headers: {
+              'X-Calculated-Price': response.headers.get('X-Calculated-Price'),
+              'x-estimated-volume': response.headers.get('x-estimated-volume'),
+              'x-original-size': response.headers.get('x-original-size'),
+              'X-Price-Tiers': response.headers.get('X-Price-Tiers')
+            }
           };
-          this.updateState({ pricing });
-          console.log('[Prinjekt Master] ✓ Price updated:', pricing);
         }
         
-        // Get DRACO blob
-        const blob = await response.blob();
+        const blob = entry.blob;
         console.log('[Prinjekt Master] Received blob:', blob.size, 'bytes');
         
+        if (isStale()) {
+          console.log('[Prinjekt Master] Discarding stale model #' + requestId);
+          return false;
+        }
+        
         if (blob.size === 0) {
-          throw new Error('Received empty response from server');
+          throw apiError('generation', 'Received empty response from server');
         }
         
         // Validate DRACO format
@@ -443,21 +1370,69 @@
         const url = URL.createObjectURL(blob);
         
         try {
-          await this.loadModel(url);
+          await this.loadModel(url, isStale, { signal: controller.signal, onProgress: reportProgress });
+          // Values the displayed geometry was generated from (embedded in exports)
+          this.modelSource = {
+            parameters: Object.fromEntries(backendParams.map(p => [p.name, p.defaultValue])),
+            material: { ...this.state.material }
+          };
           console.log('[Prinjekt Master] ✅ 3D model loaded and displayed successfully');
         } catch (modelError) {
+          if (modelError.name === 'AbortError') throw modelError;
           console.error('[Prinjekt Master] ❌ 3D model loading failed:', modelError);
           console.error('[Prinjekt Master] Error stack:', modelError.stack);
-          throw new Error(`3D model loading failed: ${modelError.message}`);
+          throw apiError('generation', `3D model loading failed: ${modelError.message}`, { cause: modelError });
         } finally {
           URL.revokeObjectURL(url);
         }
         
-        this.updateState({ loading: false, modelLoaded: true, isDirty: false });
+        // Price from headers - applied together with the model it belongs to
+        const calculatedPrice = entry.headers['X-Calculated-Price'];
+        const estimatedVolume = entry.headers['x-estimated-volume'];
+        const originalSize = entry.headers['x-original-size'];
+        let backendTiers = [];
+        if (entry.headers['X-Price-Tiers']) {
+          try {
+            backendTiers = parsePriceTiers(JSON.parse(entry.headers['X-Price-Tiers']));
+          } catch (tierError) {
+            console.warn('[Prinjekt Master] Ignoring malformed X-Price-Tiers header:', tierError);
+          }
+        }
+        
+        console.log('[Prinjekt Master] Price:', calculatedPrice, 'Volume:', estimatedVolume);
+        
+        if (calculatedPrice) {
+          const pricing = {
+            total: parseFloat(calculatedPrice),
+            volume: parseFloat(estimatedVolume || '0'),
+            originalSize: parseFloat(originalSize || '0'),
+            tiers: backendTiers
+          };
+          this.updateState({ pricing });
+          console.log('[Prinjekt Master] ✓ Price updated:', pricing);
+        }
+        
+        if (cacheKey && !fromCache) {
+          this.modelCache.set(cacheKey, entry);
+        }
+        
+        this.generateController = null;
+        this.updateState({
+          loading: false,
+          modelLoaded: true,
+          loadProgress: null,
+          // Parameters changed while this request was running -> still dirty
+          isDirty: revision !== this.parameterRevision
+        });
         console.log('[Prinjekt Master] ✓ Model generated successfully');
         
         return true;
       } catch (error) {
+        if (error.name === 'AbortError' || isStale()) {
+          console.log('[Prinjekt Master] Generation #' + requestId + ' cancelled');
+          return false;
+        }
+        this.generateController = null;
         console.error('[Prinjekt Master] ❌ Generation failed:', error);
         console.error('[Prinjekt Master] Error details:', {
           message: error.message,
@@ -469,141 +1444,216 @@
       }
     }
 
+    /**
+     * Read the generated model, reporting download progress
+     * Content-Length may be missing or compressed - the bar is then indeterminate or capped.
+     * @param {Response} response - /generate_stl response
+     * @param {Function} onProgress - (stage, loaded, total)
+     * @returns {Promise<Blob>}
+     */
+    async _readModelBlob(response, onProgress) {
+      if (!response.body || !response.body.getReader) {
+        return response.blob();
+      }
+      const total = parseInt(response.headers.get('Content-Length'), 10) || null;
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      onProgress('downloading', 0, total);
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress('downloading', loaded, total);
+      }
+      return new Blob(chunks, { type: response.headers.get('Content-Type') || 'application/octet-stream' });
+    }
+
+    /**
+     * Publish load progress - only stage or whole-percent changes re-render the UI
+     * @param {string} stage - generating, downloading, decoding or processing
+     * @param {number} [loaded]
+     * @param {number|null} [total] - Unknown total: percent is null (indeterminate)
+     */
+    _setLoadProgress(stage, loaded = 0, total = null) {
+      const percent = total ? Math.min(100, Math.round(loaded / total * 100)) : null;
+      const current = this.state.loadProgress;
+      if (current && current.stage === stage && current.percent === percent) return;
+      this.updateState({ loadProgress: { stage, loaded, total, percent } });
+    }
+
     /**
      * Load 3D model (DRACO compressed) into scene
      * @param {string} url - URL to model file
+     * @param {Function} [isStale] - Returns true if a newer request superseded this one
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels decoding in the worker
+     * @param {Function} [options.onProgress] - (stage, loaded, total)
      */
-    async loadModel(url) {
-      return new Promise((resolve, reject) => {
-        console.log('[Prinjekt Master] 🔧 loadModel() called with URL:', url);
-        
-        if (!window.THREE) {
-          const error = 'THREE.js not loaded';
-          console.error('[Prinjekt Master] ❌', error);
-          reject(new Error(error));
-          return;
-        }
-        
-        if (!window.THREE.DRACOLoader) {
-          const error = 'DRACOLoader not available';
-          console.error('[Prinjekt Master] ❌', error);
-          reject(new Error(error));
-          return;
-        }
-        
-        if (!this.scene) {
-          const error = 'Scene not initialized';
-          console.error('[Prinjekt Master] ❌', error);
-          reject(new Error(error));
-          return;
+    async loadModel(url, isStale = () => false, options = {}) {
+      const { signal = null, onProgress = () => {} } = options;
+      console.log('[Prinjekt Master] 🔧 loadModel() called with URL:', url);
+      
+      if (!window.THREE) {
+        const error = 'THREE.js not loaded';
+        console.error('[Prinjekt Master] ❌', error);
+        throw new Error(error);
+      }
+      
+      if (!this.scene) {
+        const error = 'Scene not initialized';
+        console.error('[Prinjekt Master] ❌', error);
+        throw new Error(error);
+      }
+      
+      let geometry;
+      try {
+        geometry = await this._decodeModel(url, signal, onProgress);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('[Prinjekt Master] ❌ DRACO decoding failed:', error);
         }
+        throw error;
+      }
+      console.log('[Prinjekt Master] ✅ DRACO decode successful!');
+      console.log('[Prinjekt Master] Geometry attributes:', Object.keys(geometry.attributes));
+      console.log('[Prinjekt Master] Vertex count:', geometry.attributes.position?.count || 'unknown');
+      
+      // A newer model was requested while decoding - never overwrite it
+      if (isStale()) {
+        geometry.dispose();
+        throw new DOMException('Stale model discarded', 'AbortError');
+      }
+      onProgress('processing');
+      
+      // Remove existing model only once the replacement is ready
+      this._disposeCurrentModel();
+      
+      // ★★★ ANFORDERUNG LÖSUNG ★★★
+      // Create material (colour/roughness/metalness/opacity from the selected material)
+      const material = new window.THREE.MeshStandardMaterial({
+        ...this._modelMaterialProperties(),
+        wireframe: this.viewerSettings.wireframe,
+        side: window.THREE.DoubleSide, // Behebt umgedrehte Normalen
+        flatShading: false, // Behebt "Treppenstufen"-Shading
         
-        console.log('[Prinjekt Master] ✓ All prerequisites available');
-        
-        // Remove existing model
-        if (this.currentModel) {
-          this.scene.remove(this.currentModel);
-          this.currentModel.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-              if (Array.isArray(child.material)) {
-                child.material.forEach(m => m.dispose());
-              } else {
-                child.material.dispose();
-              }
-            }
-          });
-          this.currentModel = null;
+        // Behebt Z-Fighting (überlappende Geometrie)
+        polygonOffset: true,
+        polygonOffsetFactor: -0.1, // Zieht Flächen leicht nach vorne
+        polygonOffsetUnits: -1
+      });
+      // ★★★ ENDE LÖSUNG ★★★
+      
+      // Create mesh
+      const mesh = new window.THREE.Mesh(geometry, material);
+      mesh.castShadow = this.viewerSettings.shadows;
+      mesh.receiveShadow = this.viewerSettings.shadows;
+      mesh.name = 'configuredModel';
+      
+      // Rotate to correct orientation (Z-up to Y-up)
+      mesh.rotation.x = -Math.PI / 2;
+      
+      // Add to scene FIRST
+      this.scene.add(mesh);
+      this.currentModel = mesh;
+      
+      // Center model using Box3
+      const box = new window.THREE.Box3().setFromObject(mesh);
+      const center = box.getCenter(new window.THREE.Vector3());
+      mesh.position.sub(center);
+      
+      // Recalculate box after centering to get final position
+      const finalBox = new window.THREE.Box3().setFromObject(mesh);
+      
+      // Position grid at model's bottom edge
+      if (this.gridHelper) {
+        const modelBottom = finalBox.min.y;
+        // Fix für Gitter-Z-Fighting
+        this.gridHelper.position.y = modelBottom - 0.1; 
+        console.log('[Prinjekt Master] ✓ Grid positioned at model bottom:', (modelBottom - 0.1).toFixed(2), 'mm');
+      }
+      
+      this._fitCameraToModel(mesh);
+      
+      // Measurements belong to the previous geometry
+      this.clearMeasurement();
+      this._updateDimensionOverlay();
+      this._updateGhostOverlay();
+      this.updateState({ dimensions: this.getModelDimensions(), printability: null });
+      this._schedulePrintabilityAnalysis(mesh);
+      
+      console.log('[Prinjekt Master] ✓ Model loaded');
+      
+      return mesh;
+    }
+
+    /**
+     * DRACO model -> BufferGeometry, in the worker pool if available
+     * @param {string} url - Blob URL of the model
+     * @param {AbortSignal|null} signal
+     * @param {Function} onProgress - (stage, loaded, total)
+     * @returns {Promise<THREE.BufferGeometry>}
+     */
+    async _decodeModel(url, signal, onProgress) {
+      const pool = this.workerPool;
+      if (pool) {
+        try {
+          return await this._decodeInWorker(pool, url, signal, onProgress);
+        } catch (error) {
+          if (!pool.broken) throw error;
+          console.warn('[Prinjekt Master] Geometry worker failed - decoding on the main thread:', error.message);
+          if (this.workerPool === pool) this.workerPool = null;
         }
-        
-        console.log('[Prinjekt Master] 🔄 Creating DRACOLoader...');
-        
-        // Setup DRACO loader
-        const loader = new window.THREE.DRACOLoader();
-        loader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.7/');
-        
-        console.log('[Prinjekt Master] ✓ DRACOLoader created, decoder path set');
-        console.log('[Prinjekt Master] 🚀 Starting DRACO loader.load()...');
-        
-        // Load geometry
-        loader.load(
-          url,
-          (geometry) => {
-            console.log('[Prinjekt Master] ✅ DRACO decode successful!');
-            console.log('[Prinjekt Master] Geometry attributes:', Object.keys(geometry.attributes));
-            console.log('[Prinjekt Master] Vertex count:', geometry.attributes.position?.count || 'unknown');
-            
-            // ★★★ ANFORDERUNG LÖSUNG ★★★
-            // Create material
-            const material = new window.THREE.MeshStandardMaterial({
-              color: 0xF59F27,
-              metalness: 0.1,
-              roughness: 0.6,
-              wireframe: this.viewerSettings.wireframe,
-              side: window.THREE.DoubleSide, // Behebt umgedrehte Normalen
-              flatShading: false, // Behebt "Treppenstufen"-Shading
-              
-              // Behebt Z-Fighting (überlappende Geometrie)
-              polygonOffset: true,
-              polygonOffsetFactor: -0.1, // Zieht Flächen leicht nach vorne
-              polygonOffsetUnits: -1
-            });
-            // ★★★ ENDE LÖSUNG ★★★
-            
-            // Create mesh
-            const mesh = new window.THREE.Mesh(geometry, material);
-            mesh.castShadow = this.viewerSettings.shadows;
-            mesh.receiveShadow = this.viewerSettings.shadows;
-            mesh.name = 'configuredModel';
-            
-            // Rotate to correct orientation (Z-up to Y-up)
-            mesh.rotation.x = -Math.PI / 2;
-            
-            // Add to scene FIRST
-            this.scene.add(mesh);
-            this.currentModel = mesh;
-            
-            // Center model using Box3
-            const box = new window.THREE.Box3().setFromObject(mesh);
-            const center = box.getCenter(new window.THREE.Vector3());
-            mesh.position.sub(center);
-            
-            // Recalculate box after centering to get final position
-            const finalBox = new window.THREE.Box3().setFromObject(mesh);
-            
-            // Position grid at model's bottom edge
-            if (this.gridHelper) {
-              const modelBottom = finalBox.min.y;
-              // Fix für Gitter-Z-Fighting
-              this.gridHelper.position.y = modelBottom - 0.1; 
-              console.log('[Prinjekt Master] ✓ Grid positioned at model bottom:', (modelBottom - 0.1).toFixed(2), 'mm');
-            }
-            
-            this._fitCameraToModel(mesh);
-            
-            console.log('[Prinjekt Master] ✓ Model loaded');
-            
-            resolve(mesh);
-          },
-          (progress) => {
-            if (progress.lengthComputable) {
-              const percent = (progress.loaded / progress.total * 100).toFixed(0);
-              console.log(`[Prinjekt Master] 📊 DRACO Loading Progress: ${percent}% (${progress.loaded}/${progress.total} bytes)`);
-            } else {
-              console.log('[Prinjekt Master] 📊 DRACO Loading...', progress.loaded, 'bytes');
-            }
-          },
-          (error) => {
-            console.error('[Prinjekt Master] ❌ DRACO Loader Error:', error);
-            console.error('[Prinjekt Master] Error type:', error.constructor.name);
-            console.error('[Prinjekt Master] Error message:', error.message);
-            console.error('[Prinjekt Master] Error stack:', error.stack);
-            reject(error);
-          }
-        );
+      }
+      
+      if (!window.THREE.DRACOLoader) {
+        throw new Error('DRACOLoader not available');
+      }
+      // One loader per configurator - it keeps its decoder between models
+      if (!this.dracoLoader) {
+        this.dracoLoader = new window.THREE.DRACOLoader();
+        this.dracoLoader.setDecoderPath(await window.PrinjektThree.decoderPath());
+      }
+      onProgress('decoding');
+      return new Promise((resolve, reject) => {
+        this.dracoLoader.load(url, resolve, undefined, reject);
       });
     }
 
+    /**
+     * Decode in a pool worker - the model buffer is transferred, the arrays come back the same way
+     */
+    async _decodeInWorker(pool, url, signal, onProgress) {
+      const buffer = await (await fetch(url)).arrayBuffer();
+      const decoderPath = await window.PrinjektThree.decoderPath();
+      const decoded = await pool.run('decode-draco', { buffer, decoderPath }, {
+        transfer: [buffer],
+        signal,
+        onProgress: ({ stage, loaded, total }) => onProgress(stage, loaded, total)
+      });
+      
+      const THREE = window.THREE;
+      const geometry = new THREE.BufferGeometry();
+      Object.keys(decoded.attributes).forEach(name => {
+        const { array, itemSize } = decoded.attributes[name];
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+      });
+      if (decoded.index) {
+        geometry.setIndex(new THREE.BufferAttribute(decoded.index, 1));
+      }
+      // Computed in the worker - centering and camera fitting skip their vertex loops
+      geometry.boundingBox = new THREE.Box3(
+        new THREE.Vector3().fromArray(decoded.boundingBox.min),
+        new THREE.Vector3().fromArray(decoded.boundingBox.max)
+      );
+      geometry.boundingSphere = new THREE.Sphere(
+        new THREE.Vector3().fromArray(decoded.boundingSphere.center),
+        decoded.boundingSphere.radius
+      );
+      return geometry;
+    }
+
     // ========== PARAMETER MANAGEMENT ==========
     /**
      * Update a parameter value
@@ -616,18 +1666,69 @@
         return false;
       }
       
+      const current = this.state.parameters[name];
+      const currentValue = current.value !== undefined ? current.value : current.defaultValue;
+      if (currentValue !== value) {
+        this._recordHistory(name);
+      }
+      
       const parameters = { ...this.state.parameters };
       parameters[name] = { ...parameters[name], value };
       
+      this.parameterRevision++;
       this.updateState({ 
         parameters, 
-        isDirty: true 
+        isDirty: true,
+        ...this._historyState()
       });
       
       console.log(`[Prinjekt Master] Parameter "${name}" updated to:`, value);
+      
+      if (this.state.autoUpdate) {
+        this.scheduleGenerate();
+      }
       return true;
     }
 
+    /**
+     * Schedule a debounced generateModel() call (live mode)
+     * Every call restarts the delay, so only the last change of a burst is generated.
+     * @param {number} [delay] - Delay in ms, defaults to autoUpdateDelay
+     */
+    scheduleGenerate(delay = this.autoUpdateDelay) {
+      this.cancelScheduledGenerate();
+      this.autoUpdateTimer = setTimeout(() => {
+        this.autoUpdateTimer = null;
+        // Violations are shown inline - wait until the customer resolves them
+        if (this.state.violations.length > 0) return;
+        this.generateModel();
+      }, delay);
+    }
+
+    /**
+     * Cancel a pending debounced generation
+     */
+    cancelScheduledGenerate() {
+      if (this.autoUpdateTimer) {
+        clearTimeout(this.autoUpdateTimer);
+        this.autoUpdateTimer = null;
+      }
+    }
+
+    /**
+     * Enable or disable live mode (automatic regeneration on parameter change)
+     * @param {boolean} enabled
+     */
+    setAutoUpdate(enabled) {
+      this.updateState({ autoUpdate: !!enabled });
+      if (!enabled) {
+        this.cancelScheduledGenerate();
+      } else if (this.state.isDirty && this.state.initialized) {
+        this.scheduleGenerate();
+      }
+      console.log('[Prinjekt Master] Live mode', enabled ? 'enabled' : 'disabled');
+    }
+
     /**
      * Get current parameter values
      * @returns {Object} Parameter values
@@ -641,20 +1742,437 @@
     }
 
     /**
-     * Reset all parameters to default values
+     * Reset parameters to default values
+     * @param {Array<string>} [names] - Parameters to reset, defaults to all
      */
-    resetParameters() {
+    resetParameters(names = null) {
+      this._recordHistory();
+      
       const parameters = { ...this.state.parameters };
-      Object.keys(parameters).forEach(key => {
-        parameters[key].value = parameters[key].defaultValue;
+      (names || Object.keys(parameters)).forEach(key => {
+        if (!parameters[key]) return;
+        parameters[key] = { ...parameters[key], value: parameters[key].defaultValue };
       });
       
+      this.parameterRevision++;
       this.updateState({ 
         parameters,
-        isDirty: true 
+        isDirty: true,
+        ...this._historyState()
+      });
+      
+      console.log('[Prinjekt Master] Parameters reset to defaults', names ? names : '');
+      
+      if (this.state.autoUpdate) {
+        this.scheduleGenerate();
+      }
+    }
+
+    // ========== MATERIAL ==========
+    /**
+     * Select material and colour
+     * The colour only changes the preview; a different material changes the price,
+     * so the model counts as dirty (and is regenerated in live mode).
+     * @param {string} materialId - Material id from the catalogue
+     * @param {string} [color] - Hex colour of that material, defaults to its first colour
+     * @returns {boolean} False if the material is unknown
+     */
+    setMaterial(materialId, color = null) {
+      const material = this.materials.find(m => m.id === materialId);
+      if (!material) {
+        console.warn(`[Prinjekt Master] Unknown material: ${materialId}`);
+        return false;
+      }
+      
+      const swatch = material.colors.find(c => color && c.hex.toLowerCase() === String(color).toLowerCase()) || material.colors[0];
+      const materialChanged = material.id !== this.state.material.id;
+      const updates = {
+        material: { id: material.id, name: material.name, color: swatch.hex, colorName: swatch.name }
+      };
+      
+      if (materialChanged) {
+        this.parameterRevision++;
+        updates.isDirty = true;
+      }
+      this.updateState(updates);
+      this._applyModelMaterial();
+      
+      console.log(`[Prinjekt Master] Material: ${material.name} (${swatch.name})`);
+      
+      if (materialChanged && this.state.autoUpdate) {
+        this.scheduleGenerate();
+      }
+      return true;
+    }
+
+    /**
+     * Three.js material properties for the current selection
+     * @returns {Object} MeshStandardMaterial parameters
+     */
+    _modelMaterialProperties() {
+      const material = this.materials.find(m => m.id === this.state.material.id);
+      const opacity = material ? material.opacity : 1;
+      return {
+        color: new window.THREE.Color(this.state.material.color),
+        roughness: material ? material.roughness : 0.6,
+        metalness: material ? material.metalness : 0.1,
+        transparent: opacity < 1,
+        opacity: opacity,
+        depthWrite: opacity >= 1
+      };
+    }
+
+    /**
+     * Apply the current selection to the loaded model (live, no regeneration)
+     */
+    _applyModelMaterial() {
+      if (!this.currentModel || !this.currentModel.material) return;
+      
+      const { color, ...properties } = this._modelMaterialProperties();
+      this.currentModel.material.color.copy(color);
+      Object.assign(this.currentModel.material, properties);
+      this.currentModel.material.needsUpdate = true;
+    }
+
+    // ========== QUANTITY ==========
+    /**
+     * Set the order quantity (clamped to minQuantity..maxQuantity)
+     * @param {number} quantity - Number of copies
+     * @returns {number} Applied quantity
+     */
+    setQuantity(quantity) {
+      let value = parseInt(quantity, 10);
+      if (isNaN(value)) value = this.minQuantity;
+      value = Math.min(Math.max(value, this.minQuantity), this.maxQuantity);
+      
+      if (value !== this.state.quantity) {
+        this.updateState({ quantity: value });
+      }
+      return value;
+    }
+
+    /**
+     * Unit price and subtotal for a quantity
+     * Backend tiers (X-Price-Tiers) take precedence over the section setting tiers.
+     * @param {Object} pricing - state.pricing (total = single unit price)
+     * @param {number} quantity - Order quantity
+     * @returns {Object|null} { quantity, unitPrice, subtotal, tiers, activeTier } or null without a price
+     */
+    _computeQuantityPricing(pricing, quantity) {
+      const basePrice = pricing && pricing.total;
+      if (!basePrice) return null;
+      
+      const source = pricing.tiers && pricing.tiers.length > 0 ? pricing.tiers : this.priceTiers;
+      const tiers = source.map(tier => ({
+        minQuantity: tier.minQuantity,
+        unitPrice: roundPrice(tier.unitPrice !== null ? tier.unitPrice : basePrice * (1 - tier.discount / 100)),
+        discount: tier.discount !== null ? tier.discount : roundPrice((1 - tier.unitPrice / basePrice) * 100)
+      }));
+      if (!tiers.length || tiers[0].minQuantity > this.minQuantity) {
+        tiers.unshift({ minQuantity: this.minQuantity, unitPrice: roundPrice(basePrice), discount: 0 });
+      }
+      
+      let activeTier = 0;
+      tiers.forEach((tier, index) => {
+        if (quantity >= tier.minQuantity) activeTier = index;
+      });
+      const unitPrice = tiers[activeTier].unitPrice;
+      
+      return {
+        quantity,
+        unitPrice,
+        subtotal: roundPrice(unitPrice * quantity),
+        tiers,
+        activeTier
+      };
+    }
+
+    /**
+     * Reset all parameters of one group to their defaults
+     * @param {string} groupId - Group id from getParameterGroups()
+     * @returns {boolean} False if the group does not exist
+     */
+    resetGroup(groupId) {
+      const group = this.getParameterGroups().find(g => g.id === groupId);
+      if (!group) {
+        console.warn(`[Prinjekt Master] Unknown parameter group: ${groupId}`);
+        return false;
+      }
+      this.resetParameters(group.parameters);
+      return true;
+    }
+
+    // ========== PARAMETER GROUPS ==========
+    /**
+     * Parameters grouped and sorted for display
+     * Groups keep the order of their first parameter (or explicit groupOrder),
+     * parameters are sorted by `order` metadata, then backend order.
+     * [Hidden] parameters are left out - they are still sent to the backend.
+     * @param {Object} [parameters] - Parameter definitions, defaults to state.parameters
+     * @returns {Array<Object>} [{ id, label, parameters: [names] }]
+     */
+    getParameterGroups(parameters = this.state.parameters) {
+      const sortKey = (param) => (param.order !== null && param.order !== undefined ? param.order : Infinity);
+      const names = Object.keys(parameters).sort((a, b) => (
+        sortKey(parameters[a]) - sortKey(parameters[b]) ||
+        (parameters[a].position || 0) - (parameters[b].position || 0)
+      ));
+      
+      const groups = new Map();
+      names.forEach((name, index) => {
+        const param = parameters[name];
+        const label = param.group || DEFAULT_PARAMETER_GROUP;
+        const id = parameterGroupId(label);
+        if (id === HIDDEN_PARAMETER_GROUP) return;
+        
+        if (!groups.has(id)) {
+          const groupOrder = parseFloat(param.groupOrder);
+          groups.set(id, { id, label, order: isNaN(groupOrder) ? index : groupOrder, parameters: [] });
+        }
+        groups.get(id).parameters.push(name);
+      });
+      
+      return [...groups.values()]
+        .sort((a, b) => a.order - b.order)
+        .map(({ id, label, parameters: groupParams }) => ({ id, label, parameters: groupParams }));
+    }
+
+    // ========== CONSTRAINTS ==========
+    /**
+     * Evaluate the declarative constraints of all parameters
+     * @param {Object} parameters - Parameter definitions with current values
+     * @returns {Object} { constraints: { [name]: { visible, enabled, min, max, disabledOptions, violations } }, violations }
+     */
+    _evaluateConstraints(parameters) {
+      const scope = {};
+      this._buildBackendParams(parameters).forEach(p => {
+        scope[p.name] = p.defaultValue;
+      });
+      
+      const constraints = {};
+      const violations = [];
+      
+      Object.entries(parameters).forEach(([name, param]) => {
+        const rules = { ...param, ...(param.constraints || {}) };
+        const label = param.label || name;
+        const value = scope[name];
+        const info = {
+          visible: rules.visibleIf ? !!evaluateExpression(rules.visibleIf, scope, true) : true,
+          enabled: rules.enabledIf ? !!evaluateExpression(rules.enabledIf, scope, true) : true,
+          min: null,
+          max: null,
+          disabledOptions: [],
+          violations: []
+        };
+        
+        // Dynamic range - static numbers stay in rangeConfig
+        ['min', 'max'].forEach(bound => {
+          const expression = param.constraints ? param.constraints[bound] : undefined;
+          if (expression !== undefined && expression !== null && expression !== '') {
+            const result = Number(evaluateExpression(expression, scope, NaN));
+            if (isFinite(result)) info[bound] = result;
+          }
+        });
+        if (typeof value === 'number') {
+          if (info.min !== null && value < info.min) {
+            info.violations.push(`${label} must be at least ${info.min}.`);
+          }
+          if (info.max !== null && value > info.max) {
+            info.violations.push(`${label} must be at most ${info.max}.`);
+          }
+        }
+        
+        const options = param.dropdownOptions || param.options || param.allowedValues || [];
+        options.forEach(opt => {
+          if (typeof opt !== 'object' || opt === null || !opt.disabledIf) return;
+          if (evaluateExpression(opt.disabledIf, scope, false)) {
+            info.disabledOptions.push(opt.value);
+            if (String(opt.value) === String(value)) {
+              info.violations.push(`"${opt.label || opt.value}" is not available for ${label} with the current settings.`);
+            }
+          }
+        });
+        
+        [].concat(rules.exclusiveWith || []).forEach(other => {
+          if (value && scope[other] && parameters[other]) {
+            info.violations.push(`${label} cannot be combined with ${parameters[other].label || other}.`);
+          }
+        });
+        
+        [].concat(rules.rules || []).forEach(rule => {
+          const expression = typeof rule === 'string' ? rule : rule.expression;
+          if (expression && !evaluateExpression(expression, scope, true)) {
+            info.violations.push((rule && rule.message) || `${label}: ${expression} is not satisfied.`);
+          }
+        });
+        
+        info.violations.forEach(message => violations.push({ parameter: name, message }));
+        constraints[name] = info;
+      });
+      
+      return { constraints, violations };
+    }
+
+    /**
+     * Move hidden or locked parameters that break a constraint to a valid value - the
+     * customer cannot fix them, but their values still go to the backend.
+     * Out of range: nearest bound; unavailable option: default or first available option;
+     * anything else: default value.
+     * @param {Object} parameters - Parameter definitions with current values
+     * @param {Object} constraints - Result of _evaluateConstraints
+     * @returns {Object|null} Corrected parameters, null if nothing changed
+     */
+    _correctLockedParameters(parameters, constraints) {
+      let corrected = null;
+      Object.entries(parameters).forEach(([name, param]) => {
+        const info = constraints[name];
+        if (!info || info.violations.length === 0 || (info.visible && info.enabled)) return;
+        
+        const current = param.value !== undefined ? param.value : param.defaultValue;
+        let value = param.defaultValue;
+        const number = parseFloat(current);
+        if (param.valueType === 'number' && !isNaN(number)) {
+          const clamped = Math.min(Math.max(number, info.min ?? -Infinity), info.max ?? Infinity);
+          if (clamped !== number) value = clamped;
+        }
+        if (info.disabledOptions.some(option => String(option) === String(value))) {
+          const options = (param.dropdownOptions || param.options || param.allowedValues || [])
+            .map(opt => (typeof opt === 'object' && opt !== null ? opt.value : opt));
+          value = options.find(option => !info.disabledOptions.some(disabled => String(disabled) === String(option)));
+        }
+        if (value === undefined || String(value) === String(current)) return;
+        
+        console.log(`[Prinjekt Master] Locked parameter "${name}" corrected to:`, value);
+        corrected = corrected || { ...parameters };
+        corrected[name] = { ...param, value };
+      });
+      return corrected;
+    }
+
+    // ========== UNDO / REDO ==========
+    /**
+     * Undo the last parameter change
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+      if (this.undoStack.length === 0) return false;
+      
+      this.redoStack.push(this.getParameterValues());
+      this._restoreParameterValues(this.undoStack.pop());
+      console.log('[Prinjekt Master] ↶ Undo');
+      return true;
+    }
+
+    /**
+     * Redo the last undone parameter change
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+      if (this.redoStack.length === 0) return false;
+      
+      this.undoStack.push(this.getParameterValues());
+      this._restoreParameterValues(this.redoStack.pop());
+      console.log('[Prinjekt Master] ↷ Redo');
+      return true;
+    }
+
+    /**
+     * Start grouping changes into a single undo step (e.g. while dragging a slider)
+     * Calls can be nested; every call needs a matching endHistoryGroup().
+     */
+    beginHistoryGroup() {
+      if (this.historyGroupDepth === 0) {
+        this.historyGroupRecorded = false;
+      }
+      this.historyGroupDepth++;
+    }
+
+    /**
+     * Close a group opened with beginHistoryGroup()
+     */
+    endHistoryGroup() {
+      this.historyGroupDepth = Math.max(0, this.historyGroupDepth - 1);
+    }
+
+    /**
+     * Forget all undo/redo steps
+     */
+    clearHistory() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.lastHistoryParam = null;
+      if (this.state.canUndo || this.state.canRedo) {
+        this.updateState(this._historyState());
+      }
+    }
+
+    /**
+     * Push the current values onto the undo stack before they change
+     * Repeated changes of the same parameter within historyMergeWindow and all
+     * changes inside an open history group collapse into one step.
+     * @param {string} [name] - Parameter that is about to change
+     */
+    _recordHistory(name = null) {
+      const now = Date.now();
+      
+      if (this.historyGroupDepth > 0) {
+        if (this.historyGroupRecorded) return;
+        this.historyGroupRecorded = true;
+      } else if (name && name === this.lastHistoryParam && now - this.lastHistoryTime < this.historyMergeWindow) {
+        this.lastHistoryTime = now;
+        return;
+      }
+      
+      this.undoStack.push(this.getParameterValues());
+      if (this.undoStack.length > this.historyLimit) {
+        this.undoStack.shift();
+      }
+      this.redoStack = [];
+      this.lastHistoryParam = name;
+      this.lastHistoryTime = now;
+    }
+
+    /**
+     * Apply a history snapshot to the parameters
+     * @param {Object} values - Parameter values by name
+     */
+    _restoreParameterValues(values) {
+      const parameters = { ...this.state.parameters };
+      Object.entries(values).forEach(([key, value]) => {
+        if (parameters[key]) {
+          parameters[key] = { ...parameters[key], value };
+        }
+      });
+      
+      // Next change must start a new step instead of merging into a restored one
+      this.lastHistoryParam = null;
+      this.parameterRevision++;
+      this.updateState({
+        parameters,
+        isDirty: true,
+        ...this._historyState()
       });
       
-      console.log('[Prinjekt Master] Parameters reset to defaults');
+      if (this.state.autoUpdate) {
+        this.scheduleGenerate();
+      }
+    }
+
+    _historyState() {
+      return {
+        canUndo: this.undoStack.length > 0,
+        canRedo: this.redoStack.length > 0
+      };
+    }
+
+    /**
+     * Drop all cached models (e.g. after backend pricing changes)
+     */
+    async clearModelCache() {
+      if (this.modelCache) {
+        await this.modelCache.clear();
+        console.log('[Prinjekt Master] ✓ Model cache cleared');
+      }
     }
 
     // ========== CART OPERATIONS ==========
@@ -664,9 +2182,21 @@
      */
     async addToCart() {
       try {
+        if (this.state.violations.length > 0) {
+          throw new Error(this.state.violations.map(v => v.message).join(' '));
+        }
+        await this._awaitPrintability();
+        if (this.state.printability && this.state.printability.blocking) {
+          throw new Error(this.state.printability.warnings.filter(w => w.severity === 'error').map(w => w.message).join(' '));
+        }
+        
         this.updateState({ loading: true, error: null });
         console.log('[Prinjekt Master] Adding to cart...');
         
+        // The variant carries the tier unit price - Shopify multiplies by the line quantity
+        const quantity = this.state.quantity;
+        const unitPrice = this.state.quantityPricing ? this.state.quantityPricing.unitPrice : (this.state.pricing.total || 0);
+        
         // Step 1: Create variant
         const backendParams = [];
         Object.entries(this.state.parameters).forEach(([key, param]) => {
@@ -683,7 +2213,8 @@
         });
         
         console.log('[Prinjekt Master] Creating variant...');
-        const createVariantResponse = await fetch(`${this.apiBase}/create_variant`, {
+        // Not idempotent - every call creates a variant, so no retries
+        const createVariantResponse = await this.api.request(`${this.apiBase}/create_variant`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -692,15 +2223,15 @@
           body: JSON.stringify({
             shopify_id: this.productGid,
             parameters: backendParams,
-            price: this.state.pricing.total || 0,
+            price: unitPrice,
+            base_price: this.state.pricing.total || 0,
+            quantity: quantity,
+            ...(this.state.material.id && { material: this.state.material.id }),
             return_json: true
-          })
+          }),
+          errorType: 'variant'
         });
         
-        if (!createVariantResponse.ok) {
-          throw new Error(`Failed to create variant: ${createVariantResponse.status}`);
-        }
-        
         const variantData = await createVariantResponse.json();
         const variant = variantData.variants?.[0] || variantData;
         const variantId = String(variant.id || variant.variant_id || variant.variantId)
@@ -712,45 +2243,268 @@
         const properties = {};
         Object.entries(this.state.parameters).forEach(([key, param]) => {
           const value = param.value !== undefined ? param.value : param.defaultValue;
-          properties[`_config_${key}`] = String(value);
+          properties[parameterCartProperty(key)] = String(value);
         });
         
         properties['_config_price'] = String(this.state.pricing.total || 0);
         properties['_config_volume'] = String(this.state.pricing.volume || 0);
+        properties['_config_quantity'] = String(quantity);
+        properties['_config_unit_price'] = String(unitPrice);
+        if (this.state.material.id) {
+          properties['_config_material'] = this.state.material.name;
+          properties['_config_material_id'] = this.state.material.id;
+          properties['_config_color'] = this.state.material.colorName || this.state.material.color;
+        }
+        properties['_config_summary'] = this.getCartSummary();
+        // "Label: value unit" per line - split by the cart and order templates
+        properties['_config_details'] = this.getConfigurationSummary()
+          .map(row => `${row.label}: ${row.value}${row.unit ? ' ' + row.unit : ''}`)
+          .join('\n');
+        const thumbnailUrl = await this._uploadCartThumbnail(variantId);
+        if (thumbnailUrl) {
+          properties['_config_thumbnail'] = thumbnailUrl;
+        }
         properties['_config_timestamp'] = new Date().toISOString();
         
         // Step 3: Add to cart
         console.log('[Prinjekt Master] Adding to Shopify cart...');
-        const addToCartResponse = await fetch('/cart/add.js', {
+        const addToCartResponse = await this.api.request('/cart/add.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          credentials: 'include',
+          body: JSON.stringify({
+            id: variantId,
+            quantity: quantity,
+            properties: properties
+          }),
+          errorType: 'cart',
+          // Shopify answers 422 for stock and quantity limits - a cart error, not invalid parameters
+          validationStatus: []
+        });
+        
+        const cartData = await addToCartResponse.json();
+        console.log('[Prinjekt Master] ✓ Added to cart:', cartData);
+        
+        // Step 4: An edited line is replaced - removed only once its successor is in the cart
+        if (this.state.editingLine) {
+          console.log('[Prinjekt Master] Removing edited cart line...');
+          await this.api.request('/cart/change.js', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Accept': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+              id: this.state.editingLine.key,
+              quantity: 0
+            }),
+            errorType: 'cart',
+            validationStatus: []
+          });
+          this.updateState({ editingLine: null });
+          console.log('[Prinjekt Master] ✓ Cart line replaced');
+        }
+        
+        // Step 5: Update cart count
+        await this.updateCartCount();
+        
+        this.updateState({ loading: false });
+        
+        return cartData;
+      } catch (error) {
+        this.handleError('Failed to add to cart', error);
+        throw error;
+      }
+    }
+
+    /**
+     * Reopen a configured cart line: restores its parameters, material and quantity
+     * The next addToCart() replaces that line instead of adding a new one.
+     * @param {string} key - Cart line item key
+     * @returns {Promise<Object|false>} loadConfiguration report, false if the line is not a configuration of this product
+     */
+    async editCartLine(key) {
+      const response = await this.api.request('/cart.js', {
+        headers: {
+          'Accept': 'application/json'
+        },
+        credentials: 'include',
+        idempotent: true,
+        errorType: 'cart'
+      });
+      
+      const cart = await response.json();
+      const item = (cart.items || []).find(line => line.key === key);
+      if (item && String(item.product_id) !== this.productGid.split('/').pop()) {
+        console.warn('[Prinjekt Master] Cart line belongs to another product:', key);
+        return false;
+      }
+      const properties = (item && item.properties) || {};
+      
+      const parameters = {};
+      Object.keys(this.state.parameters).forEach(name => {
+        const value = properties[parameterCartProperty(name)];
+        if (value !== undefined) parameters[name] = value;
+      });
+      if (Object.keys(parameters).length === 0) {
+        console.warn('[Prinjekt Master] Cart line is not a configuration of this product:', key);
+        return false;
+      }
+      
+      const report = this.loadConfiguration(parameters);
+      
+      // Lines from before _config_material_id only carry the material name
+      const material = this.materials.find(m => m.id === properties._config_material_id)
+        || this.materials.find(m => m.name === properties._config_material);
+      if (material) {
+        const color = material.colors.find(c => c.name === properties._config_color || c.hex === properties._config_color);
+        this.setMaterial(material.id, color ? color.hex : null);
+      }
+      this.setQuantity(item.quantity);
+      
+      this.updateState({ editingLine: { key: item.key, quantity: item.quantity } });
+      console.log('[Prinjekt Master] ✓ Editing cart line:', item.key);
+      return report;
+    }
+
+    /**
+     * Stop editing a cart line - the next addToCart() adds a new line again
+     */
+    cancelCartLineEdit() {
+      this.updateState({ editingLine: null });
+    }
+
+    /**
+     * One-line summary of the key parameters for cart and order pages
+     * @returns {string} e.g. "Width: 120 · Height: 40 · PLA (Black)"
+     */
+    getCartSummary() {
+      const names = this.summaryParameters
+        ? this.summaryParameters.filter(name => this.state.parameters[name])
+        : this._visibleParameterNames().slice(0, CART_SUMMARY_PARAMETERS);
+      
+      const parts = names.map(name => {
+        const { label, unit } = this._describeParameter(name);
+        return `${label}: ${this._formatParameterValue(name)}${unit ? ' ' + unit : ''}`;
+      });
+      if (this.state.material.id) {
+        const color = this.state.material.colorName || this.state.material.color;
+        parts.push(color ? `${this.state.material.name} (${color})` : this.state.material.name);
+      }
+      return parts.join(' · ');
+    }
+
+    /**
+     * Readable configuration for cart and order pages
+     * @returns {Array<Object>} [{ name, label, value, unit }] - visible parameters in display order, then material and colour
+     */
+    getConfigurationSummary() {
+      const rows = this._visibleParameterNames().map(name => ({
+        name,
+        ...this._describeParameter(name),
+        value: this._formatParameterValue(name)
+      }));
+      
+      const material = this.state.material;
+      if (material.id) {
+        rows.push({ name: '@material', label: (this.parameterLabels['@material'] || {}).label || 'Material', value: material.name, unit: null });
+        const color = material.colorName || material.color;
+        if (color) {
+          rows.push({ name: '@color', label: (this.parameterLabels['@color'] || {}).label || 'Colour', value: color, unit: null });
+        }
+      }
+      return rows;
+    }
+
+    /**
+     * Visible parameters in display order (hidden group and visibleIf excluded)
+     * @returns {Array<string>} Parameter names
+     */
+    _visibleParameterNames() {
+      return this.getParameterGroups()
+        .flatMap(group => group.parameters)
+        .filter(name => !this.state.constraints[name] || this.state.constraints[name].visible);
+    }
+
+    /**
+     * Display label and unit of a parameter
+     * Overrides from options.parameterLabels win over the /get_params metadata.
+     * @param {string} name - Parameter name
+     * @returns {Object} { label, unit }
+     */
+    _describeParameter(name) {
+      const param = this.state.parameters[name] || {};
+      const override = this.parameterLabels[name] || {};
+      return {
+        label: override.label || param.label || name,
+        unit: override.unit || param.unit || param.units || null
+      };
+    }
+
+    /**
+     * Value of a parameter as shown to customers (dropdown labels, ✓ / – for booleans)
+     * @param {string} name - Parameter name
+     * @param {*} [value] - Value to format, defaults to the current one
+     * @returns {string} Display value
+     */
+    _formatParameterValue(name, value) {
+      const param = this.state.parameters[name];
+      if (value === undefined) {
+        value = param.value !== undefined ? param.value : param.defaultValue;
+      }
+      
+      if (param.valueType === 'boolean') {
+        return value === true || value === 'true' || value === 'yes' ? '✓' : '–';
+      }
+      const options = param.dropdownOptions || param.options || param.allowedValues || [];
+      const option = options.find(opt => {
+        const optValue = (typeof opt === 'object' && opt !== null) ? opt.value : opt;
+        return String(optValue) === String(value);
+      });
+      if (option && typeof option === 'object') {
+        return String(option.label || option.value);
+      }
+      return String(value);
+    }
+
+    /**
+     * Render the current model and upload it as the cart line thumbnail
+     * A failed upload never blocks the cart - the line falls back to the product image.
+     * @param {string} variantId - Variant created for this configuration
+     * @returns {Promise<string|null>} Public image URL
+     */
+    async _uploadCartThumbnail(variantId) {
+      if (!this.cartThumbnail || !this.currentModel) return null;
+      
+      try {
+        const image = await this.captureImage(CART_THUMBNAIL);
+        const body = new FormData();
+        body.append('shopify_id', this.productGid);
+        body.append('variant_id', variantId);
+        body.append('image', image, `thumbnail-${variantId}.${CART_THUMBNAIL.format}`);
+        
+        const response = await fetch(`${this.apiBase}/upload_thumbnail`, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json',
             'Accept': 'application/json'
           },
-          credentials: 'include',
-          body: JSON.stringify({
-            id: variantId,
-            quantity: 1,
-            properties: properties
-          })
+          body: body
         });
-        
-        if (!addToCartResponse.ok) {
-          throw new Error(`Failed to add to cart: ${addToCartResponse.status}`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
         }
         
-        const cartData = await addToCartResponse.json();
-        console.log('[Prinjekt Master] ✓ Added to cart:', cartData);
-        
-        // Step 4: Update cart count
-        await this.updateCartCount();
-        
-        this.updateState({ loading: false });
-        
-        return cartData;
+        const data = await response.json();
+        console.log('[Prinjekt Master] ✓ Thumbnail uploaded:', data.url);
+        // Absolute - the cart templates only show https thumbnails
+        return data.url ? new URL(data.url, this.apiBase).href : null;
       } catch (error) {
-        this.handleError('Failed to add to cart', error);
-        throw error;
+        console.warn('[Prinjekt Master] Thumbnail upload failed:', error.message);
+        return null;
       }
     }
 
@@ -863,71 +2617,999 @@
         console.log('[Prinjekt Master] ✅ Cart update complete');
         
       } catch (error) {
-        console.error('[Prinjekt Master] ❌ Failed to update cart:', error);
+        console.error('[Prinjekt Master] ❌ Failed to update cart:', error);
+      }
+    }
+
+    // ========== VIEWER SETTINGS ==========
+    /**
+     * Update viewer setting
+     * @param {string} setting - Setting name
+     * @param {boolean} value - New value
+     */
+    updateViewerSetting(setting, value) {
+      this.viewerSettings[setting] = value;
+      
+      switch (setting) {
+        case 'grid':
+          if (this.gridHelper) {
+            this.gridHelper.visible = value;
+          } else if (value) {
+            this.gridHelper = new window.THREE.GridHelper(400, 40, 0x888888, 0xcccccc);
+            this.scene.add(this.gridHelper);
+          }
+          break;
+          
+        case 'axes':
+          if (this.axesHelper) {
+            this.axesHelper.visible = value;
+          } else if (value) {
+            this.axesHelper = new window.THREE.AxesHelper(100);
+            this.scene.add(this.axesHelper);
+          }
+          break;
+          
+        case 'shadows':
+          this.renderer.shadowMap.enabled = value;
+          if (this.currentModel) {
+            this.currentModel.castShadow = value;
+            this.currentModel.receiveShadow = value;
+          }
+          this.lights.forEach(light => {
+            if (light.castShadow !== undefined) {
+              light.castShadow = value;
+            }
+          });
+          break;
+          
+        case 'wireframe':
+          if (this.currentModel && this.currentModel.material) {
+            this.currentModel.material.wireframe = value;
+          }
+          break;
+          
+        case 'autoRotate':
+          if (this.controls) {
+            this.controls.autoRotate = value;
+          }
+          break;
+          
+        case 'backgroundColor':
+          if (this.scene) {
+            this.scene.background = new window.THREE.Color(value);
+          }
+          break;
+          
+        case 'dimensions':
+          this._updateDimensionOverlay();
+          break;
+          
+        case 'printability':
+          this._updatePrintabilityOverlay();
+          break;
+      }
+      
+      console.log(`[Prinjekt Master] Viewer setting "${setting}" = ${value}`);
+    }
+
+    // ========== PRINTABILITY ==========
+    /**
+     * Analyze the freshly loaded model once it has been rendered
+     * @param {THREE.Mesh} mesh - Loaded model
+     */
+    _schedulePrintabilityAnalysis(mesh) {
+      clearTimeout(this.printabilityTimer);
+      this._finishPrintabilityAnalysis();
+      if (!this.printabilityOptions) return;
+      if (!window.PrinjektPrintability) {
+        console.warn('[Prinjekt Master] Printability module not loaded - analysis skipped');
+        return;
+      }
+      
+      // Until the report is in, the model may still turn out to be blocking
+      const analysis = new Promise(resolve => {
+        this.printabilityAnalysisDone = resolve;
+      });
+      this.printabilityAnalysis = analysis;
+      this.updateState({ printabilityPending: true });
+      
+      // Let the first frame of the new model render first - without workers the analysis blocks it
+      this.printabilityTimer = setTimeout(async () => {
+        this.printabilityTimer = null;
+        
+        try {
+          if (this.currentModel !== mesh) return;
+          const { blockCart, ...options } = this.printabilityOptions;
+          const report = await this._analyzePrintability(mesh.geometry, options);
+          // Replaced while the worker was busy
+          if (this.currentModel !== mesh) return;
+          this.printabilityFlags = report.faceFlags;
+          this.updateState({
+            printability: {
+              warnings: report.warnings,
+              stats: report.stats,
+              blocking: !!blockCart && report.warnings.some(w => w.severity === 'error')
+            }
+          });
+          this._updatePrintabilityOverlay();
+        } catch (error) {
+          console.error('[Prinjekt Master] Printability analysis failed:', error);
+        } finally {
+          // A newer model has its own analysis by now
+          if (this.printabilityAnalysis === analysis) this._finishPrintabilityAnalysis();
+        }
+      }, 50);
+    }
+
+    /**
+     * Release everyone waiting for the running analysis (done, superseded or destroyed)
+     */
+    _finishPrintabilityAnalysis() {
+      if (!this.printabilityAnalysis) return;
+      this.printabilityAnalysisDone();
+      this.printabilityAnalysis = null;
+      this.printabilityAnalysisDone = null;
+      this.updateState({ printabilityPending: false });
+    }
+
+    /**
+     * Wait until the current model has its printability report (if the check is enabled)
+     * Bounded: a worker task that exceeds PRINTABILITY_TIMEOUT is replaced by the main-thread check.
+     */
+    async _awaitPrintability() {
+      while (this.printabilityAnalysis) {
+        await this.printabilityAnalysis;
+      }
+    }
+
+    /**
+     * Printability report, in the worker pool if available
+     * The arrays are copied - the displayed geometry keeps its own.
+     * A worker task still running after PRINTABILITY_TIMEOUT is terminated and the check runs on the main thread.
+     */
+    async _analyzePrintability(geometry, options) {
+      const pool = this.workerPool;
+      if (pool) {
+        const timeout = new AbortController();
+        const timer = setTimeout(() => timeout.abort(), PRINTABILITY_TIMEOUT);
+        try {
+          return await pool.run('printability', {
+            positions: geometry.attributes.position.array,
+            index: geometry.index ? geometry.index.array : null,
+            options
+          }, { signal: timeout.signal });
+        } catch (error) {
+          if (timeout.signal.aborted) {
+            console.warn(`[Prinjekt Master] Printability worker timed out after ${PRINTABILITY_TIMEOUT} ms - analysing on the main thread`);
+          } else {
+            if (!pool.broken) throw error;
+            console.warn('[Prinjekt Master] Geometry worker failed - analysing on the main thread:', error.message);
+            if (this.workerPool === pool) this.workerPool = null;
+          }
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+      return window.PrinjektPrintability.analyze(geometry, options);
+    }
+
+    /**
+     * Colour overlay of problem faces (child of the model, shares its transform)
+     * Red: overhang, purple: thin wall, yellow: open/non-manifold edges
+     */
+    _updatePrintabilityOverlay() {
+      if (this.printabilityOverlay) {
+        this.printabilityOverlay.parent?.remove(this.printabilityOverlay);
+        this._disposeOverlay(this.printabilityOverlay);
+        this.printabilityOverlay = null;
+      }
+      const flags = this.printabilityFlags;
+      if (!this.viewerSettings.printability || !flags || !this.currentModel) return;
+      
+      const THREE = window.THREE;
+      const FLAGS = window.PrinjektPrintability.FLAGS;
+      const source = this.currentModel.geometry;
+      const positions = source.attributes.position.array;
+      const index = source.index ? source.index.array : null;
+      const colorOf = (flag) => (
+        flag & FLAGS.NON_MANIFOLD ? new THREE.Color(0xfacc15)
+          : flag & FLAGS.THIN_WALL ? new THREE.Color(0x8b5cf6)
+            : new THREE.Color(0xef4444)
+      );
+      
+      const vertices = [];
+      const colors = [];
+      flags.forEach((flag, f) => {
+        if (!flag) return;
+        const color = colorOf(flag);
+        for (let c = 0; c < 3; c++) {
+          const v = index ? index[f * 3 + c] : f * 3 + c;
+          vertices.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+          colors.push(color.r, color.g, color.b);
+        }
+      });
+      if (vertices.length === 0) return;
+      
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+      geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+      const overlay = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.85,
+        // Drawn in front of the model surface it covers
+        polygonOffset: true,
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -4
+      }));
+      overlay.name = 'printabilityOverlay';
+      this.currentModel.add(overlay);
+      this.printabilityOverlay = overlay;
+    }
+
+    // ========== DIMENSIONS & MEASUREMENT ==========
+    /**
+     * Bounding box size of the current model in mm (part axes, Z up)
+     * @returns {Object|null} { x, y, z } or null without model
+     */
+    getModelDimensions() {
+      if (!this.currentModel) return null;
+      const size = new window.THREE.Box3().setFromObject(this.currentModel).getSize(new window.THREE.Vector3());
+      // The model is rotated Z-up -> Y-up: world y is the part height, world z its depth
+      return { x: size.x, y: size.z, z: size.y };
+    }
+
+    /**
+     * Draw (or remove) the labelled X/Y/Z bounding box dimensions
+     */
+    _updateDimensionOverlay() {
+      this._disposeOverlay(this.dimensionOverlay);
+      this.dimensionOverlay = null;
+      if (!this.viewerSettings.dimensions || !this.currentModel || !this.scene) return;
+      
+      const THREE = window.THREE;
+      const box = new THREE.Box3().setFromObject(this.currentModel);
+      const size = box.getSize(new THREE.Vector3());
+      const { min, max } = box;
+      const maxDim = Math.max(size.x, size.y, size.z) || 1;
+      const offset = maxDim * 0.08;
+      const tick = maxDim * 0.03;
+      const labelHeight = maxDim * 0.06;
+      
+      const group = new THREE.Group();
+      group.name = 'dimensionOverlay';
+      [
+        // Width along the front bottom edge
+        { axis: 'X', length: size.x, color: 0xef4444, from: new THREE.Vector3(min.x, min.y, max.z + offset), to: new THREE.Vector3(max.x, min.y, max.z + offset), out: new THREE.Vector3(0, 0, 1) },
+        // Depth along the right bottom edge
+        { axis: 'Y', length: size.z, color: 0x22c55e, from: new THREE.Vector3(max.x + offset, min.y, max.z), to: new THREE.Vector3(max.x + offset, min.y, min.z), out: new THREE.Vector3(1, 0, 0) },
+        // Height along the left front edge
+        { axis: 'Z', length: size.y, color: 0x3b82f6, from: new THREE.Vector3(min.x - offset, min.y, max.z), to: new THREE.Vector3(min.x - offset, max.y, max.z), out: new THREE.Vector3(-1, 0, 0) }
+      ].forEach(dimension => {
+        const tickOffset = dimension.out.clone().multiplyScalar(tick);
+        group.add(this._createOverlayLine([
+          dimension.from, dimension.to,
+          dimension.from.clone().sub(tickOffset), dimension.from.clone().add(tickOffset),
+          dimension.to.clone().sub(tickOffset), dimension.to.clone().add(tickOffset)
+        ], dimension.color));
+        
+        const label = this._createLabelSprite(`${dimension.axis} ${formatMillimetres(dimension.length)}`, labelHeight);
+        label.position.copy(dimension.from.clone().lerp(dimension.to, 0.5))
+          .add(dimension.out.clone().multiplyScalar(tick + labelHeight));
+        group.add(label);
+      });
+      
+      this.scene.add(group);
+      this.dimensionOverlay = group;
+    }
+
+    /**
+     * Enable/disable the point-to-point measurement tool
+     * Clicks on the model place points (raycast on currentModel); dragging still orbits.
+     * @param {boolean} enabled
+     */
+    setMeasureMode(enabled) {
+      enabled = !!enabled;
+      if (enabled === this.state.measureMode) return;
+      
+      if (enabled) {
+        let pointerStart = null;
+        this.handleMeasurePointerDown = (event) => {
+          pointerStart = { x: event.clientX, y: event.clientY };
+        };
+        this.handleMeasurePointerUp = (event) => {
+          const start = pointerStart;
+          pointerStart = null;
+          // A drag rotates the camera - only a click places a point
+          if (!start || Math.hypot(event.clientX - start.x, event.clientY - start.y) > 4) return;
+          this._addMeasurePoint(event);
+        };
+        this.canvas.addEventListener('pointerdown', this.handleMeasurePointerDown);
+        this.canvas.addEventListener('pointerup', this.handleMeasurePointerUp);
+        this.canvas.style.cursor = 'crosshair';
+      } else {
+        this.canvas.removeEventListener('pointerdown', this.handleMeasurePointerDown);
+        this.canvas.removeEventListener('pointerup', this.handleMeasurePointerUp);
+        this.canvas.style.cursor = '';
+        this.clearMeasurement();
+      }
+      
+      this.updateState({ measureMode: enabled });
+    }
+
+    /**
+     * Remove all measurement points
+     */
+    clearMeasurement() {
+      this.measurePoints = [];
+      this._updateMeasureOverlay();
+    }
+
+    /**
+     * Place a measurement point where the pointer ray hits the model
+     * @param {PointerEvent} event
+     */
+    _addMeasurePoint(event) {
+      if (!this.currentModel || !this.camera) return;
+      
+      const THREE = window.THREE;
+      const rect = this.canvas.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(pointer, this.camera);
+      const hit = raycaster.intersectObject(this.currentModel, false)[0];
+      if (!hit) return;
+      
+      // A third click starts a new measurement
+      if (this.measurePoints.length >= 2) {
+        this.measurePoints = [];
+      }
+      this.measurePoints.push(hit.point.clone());
+      this._updateMeasureOverlay();
+    }
+
+    _updateMeasureOverlay() {
+      this._disposeOverlay(this.measureOverlay);
+      this.measureOverlay = null;
+      
+      const points = this.measurePoints;
+      if (points.length === 0 || !this.scene || !this.currentModel) {
+        if (this.state.measurement) this.updateState({ measurement: null });
+        return;
+      }
+      
+      const THREE = window.THREE;
+      const size = new THREE.Box3().setFromObject(this.currentModel).getSize(new THREE.Vector3());
+      const maxDim = Math.max(size.x, size.y, size.z) || 1;
+      
+      const group = new THREE.Group();
+      group.name = 'measureOverlay';
+      points.forEach(point => {
+        const marker = new THREE.Mesh(
+          new THREE.SphereGeometry(maxDim * 0.012, 16, 12),
+          new THREE.MeshBasicMaterial({ color: 0xf97316, depthTest: false, transparent: true })
+        );
+        marker.position.copy(point);
+        marker.renderOrder = 999;
+        group.add(marker);
+      });
+      
+      let measurement = { points: points.length, distance: null, delta: null };
+      if (points.length === 2) {
+        const [a, b] = points;
+        measurement = {
+          points: 2,
+          distance: a.distanceTo(b),
+          // Part axes (Z up), see getModelDimensions()
+          delta: { x: Math.abs(b.x - a.x), y: Math.abs(b.z - a.z), z: Math.abs(b.y - a.y) }
+        };
+        group.add(this._createOverlayLine([a, b], 0xf97316));
+        
+        const label = this._createLabelSprite(formatMillimetres(measurement.distance), maxDim * 0.06);
+        label.position.copy(a.clone().lerp(b, 0.5));
+        label.position.y += maxDim * 0.05;
+        group.add(label);
+      }
+      
+      this.scene.add(group);
+      this.measureOverlay = group;
+      this.updateState({ measurement });
+    }
+
+    /**
+     * Line segments drawn on top of the model
+     * @param {Array<THREE.Vector3>} points - Pairs of segment end points
+     * @param {number} color - Line colour
+     * @returns {THREE.LineSegments}
+     */
+    _createOverlayLine(points, color) {
+      const THREE = window.THREE;
+      const line = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })
+      );
+      line.renderOrder = 998;
+      return line;
+    }
+
+    /**
+     * Camera-facing text label (canvas texture sprite)
+     * @param {string} text - Label text
+     * @param {number} height - Label height in scene units (mm)
+     * @returns {THREE.Sprite}
+     */
+    _createLabelSprite(text, height) {
+      const THREE = window.THREE;
+      const fontSize = 48;
+      const padding = fontSize * 0.4;
+      const font = `600 ${fontSize}px sans-serif`;
+      
+      const labelCanvas = document.createElement('canvas');
+      const context = labelCanvas.getContext('2d');
+      context.font = font;
+      labelCanvas.width = Math.ceil(context.measureText(text).width + padding * 2);
+      labelCanvas.height = Math.ceil(fontSize + padding * 2);
+      
+      // Resizing the canvas resets the context
+      context.font = font;
+      context.fillStyle = 'rgba(17, 24, 39, 0.85)';
+      context.fillRect(0, 0, labelCanvas.width, labelCanvas.height);
+      context.fillStyle = '#ffffff';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(text, labelCanvas.width / 2, labelCanvas.height / 2);
+      
+      const texture = new THREE.CanvasTexture(labelCanvas);
+      texture.minFilter = THREE.LinearFilter;
+      const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+      sprite.scale.set(height * labelCanvas.width / labelCanvas.height, height, 1);
+      sprite.renderOrder = 999;
+      return sprite;
+    }
+
+    /**
+     * Remove an overlay group from the scene and free its resources
+     * @param {THREE.Object3D|null} overlay
+     */
+    _disposeOverlay(overlay) {
+      if (!overlay) return;
+      if (this.scene) this.scene.remove(overlay);
+      overlay.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (child.material.map) child.material.map.dispose();
+          child.material.dispose();
+        }
+      });
+    }
+
+    // ========== COMPARISON ==========
+    /**
+     * Pin the displayed model for comparison
+     * The snapshot keeps the values the model was generated from, its price,
+     * dimensions, a thumbnail and a copy of the geometry for the ghost overlay.
+     * @param {string} [label] - Display name (default: next free letter A, B, ...)
+     * @returns {Promise<Object>} Pinned snapshot
+     */
+    async pinConfiguration(label) {
+      if (!this.currentModel || !this.modelSource) {
+        throw new Error('No model loaded');
+      }
+      if (this.state.isDirty) {
+        throw new Error('Update the preview first - pending changes are not part of the model');
+      }
+      if (this.state.pinnedConfigurations.length >= MAX_PINNED_CONFIGURATIONS) {
+        throw new Error(`At most ${MAX_PINNED_CONFIGURATIONS} configurations can be pinned`);
+      }
+      
+      let thumbnail = null;
+      try {
+        thumbnail = URL.createObjectURL(await this.captureImage(PIN_THUMBNAIL));
+      } catch (error) {
+        console.warn('[Prinjekt Master] Pin thumbnail failed:', error.message);
+      }
+      
+      const usedLabels = this.state.pinnedConfigurations.map(pin => pin.label);
+      const pinned = {
+        id: ++this.pinCounter,
+        label: label || [...PIN_LABELS].find(letter => !usedLabels.includes(letter)) || String(this.pinCounter),
+        parameters: { ...this.modelSource.parameters },
+        material: { ...this.modelSource.material },
+        pricing: { ...this.state.pricing },
+        dimensions: this.state.dimensions,
+        thumbnail
+      };
+      this.pinnedGeometries.set(pinned.id, this.currentModel.geometry.clone());
+      this.updateState({ pinnedConfigurations: [...this.state.pinnedConfigurations, pinned] });
+      
+      console.log('[Prinjekt Master] 📌 Configuration pinned:', pinned.label);
+      return pinned;
+    }
+
+    /**
+     * Remove a pinned configuration and free its geometry and thumbnail
+     * @param {number} id - Snapshot id
+     */
+    unpinConfiguration(id) {
+      const pinned = this.state.pinnedConfigurations.find(pin => pin.id === id);
+      if (!pinned) return;
+      
+      if (pinned.thumbnail) URL.revokeObjectURL(pinned.thumbnail);
+      const geometry = this.pinnedGeometries.get(id);
+      if (geometry) geometry.dispose();
+      this.pinnedGeometries.delete(id);
+      
+      this.updateState({
+        pinnedConfigurations: this.state.pinnedConfigurations.filter(pin => pin.id !== id),
+        ...(this.state.ghostConfigurationId === id && { ghostConfigurationId: null })
+      });
+      this._updateGhostOverlay();
+    }
+
+    /**
+     * Remove all pinned configurations
+     */
+    clearPinnedConfigurations() {
+      this.state.pinnedConfigurations.forEach(pin => this.unpinConfiguration(pin.id));
+    }
+
+    /**
+     * Load a pinned configuration back into the editor
+     * @param {number} id - Snapshot id
+     * @returns {Object|false} loadConfiguration report
+     */
+    restorePinnedConfiguration(id) {
+      const pinned = this.state.pinnedConfigurations.find(pin => pin.id === id);
+      if (!pinned) return false;
+      
+      const report = this.loadConfiguration(pinned.parameters);
+      if (pinned.material.id) {
+        this.setMaterial(pinned.material.id, pinned.material.color);
+      }
+      return report;
+    }
+
+    /**
+     * Show a pinned model as translucent ghost over the current one
+     * @param {number|null} id - Snapshot id, null hides the ghost
+     */
+    setGhostConfiguration(id) {
+      const exists = this.state.pinnedConfigurations.some(pin => pin.id === id);
+      this.updateState({ ghostConfigurationId: exists ? id : null });
+      this._updateGhostOverlay();
+    }
+
+    /**
+     * Rebuild the ghost mesh in the part coordinate frame of the current model
+     */
+    _updateGhostOverlay() {
+      // The geometry belongs to the pinned snapshot - only the material is disposed here
+      if (this.ghostOverlay) {
+        this.scene.remove(this.ghostOverlay);
+        this.ghostOverlay.material.dispose();
+        this.ghostOverlay = null;
+      }
+      
+      const geometry = this.pinnedGeometries.get(this.state.ghostConfigurationId);
+      if (!geometry || !this.currentModel || !this.scene) return;
+      
+      const ghost = new window.THREE.Mesh(geometry, new window.THREE.MeshBasicMaterial({
+        color: GHOST_COLOR,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false,
+        side: window.THREE.DoubleSide
+      }));
+      ghost.name = 'comparisonGhost';
+      ghost.rotation.copy(this.currentModel.rotation);
+      ghost.position.copy(this.currentModel.position);
+      ghost.renderOrder = 1;
+      this.scene.add(ghost);
+      this.ghostOverlay = ghost;
+    }
+
+    /**
+     * Side-by-side comparison of the current configuration and all pinned ones
+     * Deltas are relative to the current configuration.
+     * @returns {Object} { columns: [{ id, label, current, pricing, dimensions, thumbnail, priceDelta, volumeDelta }],
+     *   rows: [{ name, label, unit, values }] - only parameters whose values differ }
+     */
+    getComparison() {
+      const current = {
+        id: null,
+        label: null,
+        current: true,
+        parameters: Object.fromEntries(this._buildBackendParams().map(p => [p.name, p.defaultValue])),
+        material: this.state.material || {},
+        pricing: this.state.pricing,
+        dimensions: this.state.dimensions,
+        thumbnail: null
+      };
+      const snapshots = [current, ...this.state.pinnedConfigurations];
+      
+      const columns = snapshots.map(snapshot => ({
+        id: snapshot.id,
+        label: snapshot.label,
+        current: !!snapshot.current,
+        pricing: snapshot.pricing,
+        dimensions: snapshot.dimensions,
+        thumbnail: snapshot.thumbnail,
+        priceDelta: roundPrice((snapshot.pricing.total || 0) - (current.pricing.total || 0)),
+        volumeDelta: (snapshot.pricing.volume || 0) - (current.pricing.volume || 0)
+      }));
+      
+      const rows = [];
+      this._visibleParameterNames().forEach(name => {
+        const values = snapshots.map(snapshot => snapshot.parameters[name]);
+        if (values.every(value => String(value) === String(values[0]))) return;
+        rows.push({
+          name,
+          ...this._describeParameter(name),
+          values: values.map(value => (value === undefined ? '–' : this._formatParameterValue(name, value)))
+        });
+      });
+      
+      const materials = snapshots.map(snapshot => snapshot.material);
+      if (materials.some(m => m.id !== materials[0].id || m.color !== materials[0].color)) {
+        rows.push({
+          name: '@material',
+          label: (this.parameterLabels['@material'] || {}).label || 'Material',
+          unit: null,
+          values: materials.map(m => (m.id ? [m.name, m.colorName].filter(Boolean).join(' · ') : '–'))
+        });
+      }
+      
+      return { columns, rows };
+    }
+
+    // ========== QUOTES ==========
+    /**
+     * Quote data for the current configuration and quantity
+     * Prices in the quote are net - the VAT rate is applied on top or taken out (pricesIncludeVat).
+     * The number is a local draft number - requestQuote replaces it with the backend's when submitting,
+     * a quote that could not be registered is printed as draft.
+     * @param {Object} customer - { company, contact, email, phone, address, vatId, reference, notes }
+     * @param {Object} [product] - { title }
+     * @returns {Promise<Object>} Quote (see PrinjektQuote.createPdf)
+     */
+    async createQuote(customer, product = {}) {
+      if (!customer || !customer.company || !customer.email) {
+        throw new Error('Company and email are required');
+      }
+      if (this.state.violations.length > 0) {
+        throw new Error(this.state.violations.map(v => v.message).join(' '));
+      }
+      await this._awaitPrintability();
+      if (this.state.printability && this.state.printability.blocking) {
+        throw new Error(this.state.printability.warnings.filter(w => w.severity === 'error').map(w => w.message).join(' '));
+      }
+      // Price and thumbnail must belong to the quoted parameters
+      if (!this.currentModel || this.state.isDirty || !this.state.pricing.total) {
+        throw new Error('Update the model before requesting a quote');
+      }
+      
+      const { vatRate, pricesIncludeVat, validityDays } = this.quoteOptions;
+      const quantity = this.state.quantity;
+      const unitPrice = this.state.quantityPricing ? this.state.quantityPricing.unitPrice : this.state.pricing.total;
+      const subtotal = roundPrice(unitPrice * quantity);
+      const factor = 1 + vatRate / 100;
+      const net = pricesIncludeVat ? roundPrice(subtotal / factor) : subtotal;
+      const gross = pricesIncludeVat ? subtotal : roundPrice(subtotal * factor);
+      
+      let thumbnail = null;
+      try {
+        thumbnail = await this.captureImage(QUOTE_THUMBNAIL);
+      } catch (error) {
+        console.warn('[Prinjekt Master] Quote thumbnail failed:', error.message);
       }
+      
+      const date = new Date();
+      const validUntil = new Date(date.getTime() + validityDays * 24 * 60 * 60 * 1000);
+      const random = Math.random().toString(36).slice(2, 6).toUpperCase();
+      
+      return {
+        number: `Q-${date.toISOString().slice(0, 10).replace(/-/g, '')}-${random}`,
+        draft: true,
+        date: date.toISOString(),
+        validUntil: validUntil.toISOString(),
+        locale: this.quoteOptions.locale || document.documentElement.lang || 'en',
+        currencyCode: this.currencyCode,
+        seller: this.quoteOptions.seller || '',
+        terms: this.quoteOptions.terms || '',
+        customer: { ...customer },
+        productGid: this.productGid,
+        productTitle: product.title || '',
+        rows: this.getConfigurationSummary(),
+        quantity,
+        unitPrice: pricesIncludeVat ? roundPrice(unitPrice / factor) : unitPrice,
+        net,
+        vatRate,
+        vat: roundPrice(gross - net),
+        gross,
+        thumbnail
+      };
     }
 
-    // ========== VIEWER SETTINGS ==========
     /**
-     * Update viewer setting
-     * @param {string} setting - Setting name
-     * @param {boolean} value - New value
+     * Create the quote PDF and, if enabled, send it to the backend for follow-up
+     * With submission the backend registers the quote first and assigns its number
+     * (unique, traceable); the PDF is uploaded afterwards. If registration fails the
+     * PDF is marked as draft with the local number - check `submitted`.
+     * @param {Object} customer - See createQuote
+     * @param {Object} [product] - { title }
+     * @returns {Promise<Object>} { blob, filename, quote, submitted }
      */
-    updateViewerSetting(setting, value) {
-      this.viewerSettings[setting] = value;
+    async requestQuote(customer, product = {}) {
+      if (!window.PrinjektQuote) {
+        throw new Error('Quote module not loaded');
+      }
       
-      switch (setting) {
-        case 'grid':
-          if (this.gridHelper) {
-            this.gridHelper.visible = value;
-          } else if (value) {
-            this.gridHelper = new window.THREE.GridHelper(400, 40, 0x888888, 0xcccccc);
-            this.scene.add(this.gridHelper);
-          }
-          break;
-          
-        case 'axes':
-          if (this.axesHelper) {
-            this.axesHelper.visible = value;
-          } else if (value) {
-            this.axesHelper = new window.THREE.AxesHelper(100);
-            this.scene.add(this.axesHelper);
-          }
-          break;
-          
-        case 'shadows':
-          this.renderer.shadowMap.enabled = value;
-          if (this.currentModel) {
-            this.currentModel.castShadow = value;
-            this.currentModel.receiveShadow = value;
-          }
-          this.lights.forEach(light => {
-            if (light.castShadow !== undefined) {
-              light.castShadow = value;
-            }
+      let quote = await this.createQuote(customer, product);
+      let submitted = false;
+      
+      if (!this.quoteOptions.submit) {
+        // Without submission the shop works with the local numbers - only a failed registration leaves a draft
+        quote = { ...quote, draft: false };
+      } else {
+        try {
+          const response = await fetch(`${this.apiBase}/quote_requests`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+              quote: { ...quote, number: undefined, draft: undefined, thumbnail: undefined },
+              configuration: this.getConfigurationFile()
+            })
           });
-          break;
-          
-        case 'wireframe':
-          if (this.currentModel && this.currentModel.material) {
-            this.currentModel.material.wireframe = value;
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
           }
-          break;
-          
-        case 'autoRotate':
-          if (this.controls) {
-            this.controls.autoRotate = value;
+          const data = await response.json();
+          if (!data.number) {
+            throw new Error('No quote number returned');
           }
-          break;
-          
-        case 'backgroundColor':
-          if (this.scene) {
-            this.scene.background = new window.THREE.Color(value);
+          quote = { ...quote, number: String(data.number), draft: false };
+          submitted = true;
+          console.log('[Prinjekt Master] ✓ Quote registered:', quote.number);
+        } catch (error) {
+          console.warn('[Prinjekt Master] Quote submission failed:', error.message);
+        }
+      }
+      
+      const blob = await window.PrinjektQuote.createPdf(quote, this.quoteOptions.labels);
+      const filename = `${quote.number}.pdf`;
+      console.log('[Prinjekt Master] ✓ Quote created:', quote.number);
+      
+      if (submitted) {
+        try {
+          const body = new FormData();
+          body.append('document', blob, filename);
+          const response = await fetch(`${this.apiBase}/quote_requests/${encodeURIComponent(quote.number)}/document`, {
+            method: 'POST',
+            body: body
+          });
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
           }
-          break;
+        } catch (error) {
+          // The request itself is registered - only the copy of the PDF is missing
+          console.warn('[Prinjekt Master] Quote document upload failed:', error.message);
+        }
       }
       
-      console.log(`[Prinjekt Master] Viewer setting "${setting}" = ${value}`);
+      return { blob, filename, quote, submitted };
+    }
+
+    // ========== SAVED CONFIGURATIONS ==========
+    /**
+     * Client for the customer's saved configurations, null for guests
+     * @returns {PrinjektSavedConfigs|null}
+     */
+    _savedConfigsClient() {
+      if (!this.customer || !window.PrinjektSavedConfigs) return null;
+      if (!this.savedConfigs) {
+        this.savedConfigs = new window.PrinjektSavedConfigs({
+          apiBase: this.apiBase,
+          customerId: this.customer.id,
+          signature: this.customer.signature
+        });
+      }
+      return this.savedConfigs;
+    }
+
+    /**
+     * Save the current configuration under a name in the customer account
+     * Thumbnail and price are only stored when they match the configuration (no pending changes).
+     * @param {string} name - Display name
+     * @param {Object} [product] - { url, title } for the account page
+     * @returns {Promise<Object>} Saved configuration
+     */
+    async saveToAccount(name, product = {}) {
+      const client = this._savedConfigsClient();
+      if (!client) {
+        throw new Error('Log in to save configurations to your account');
+      }
+      if (!name || !String(name).trim()) {
+        throw new Error('Name is required');
+      }
+      
+      const upToDate = this.currentModel && !this.state.isDirty;
+      let thumbnail = null;
+      if (upToDate) {
+        try {
+          thumbnail = await this.captureImage(PIN_THUMBNAIL);
+        } catch (error) {
+          console.warn('[Prinjekt Master] Saved configuration thumbnail failed:', error.message);
+        }
+      }
+      
+      const saved = await client.save({
+        name: String(name).trim(),
+        productGid: this.productGid,
+        productUrl: product.url,
+        productTitle: product.title,
+        configuration: this.getConfigurationFile(),
+        summary: this.getCartSummary(),
+        price: upToDate ? (this.state.pricing.total || null) : null,
+        currencyCode: this.currencyCode,
+        thumbnail
+      });
+      console.log('[Prinjekt Master] ✓ Configuration saved to account:', saved.id);
+      return saved;
+    }
+
+    /**
+     * Load a saved configuration of the customer into the editor
+     * @param {string} id - Saved configuration id
+     * @returns {Promise<Object>} importConfigurationFile report
+     */
+    async openSavedConfiguration(id) {
+      const client = this._savedConfigsClient();
+      if (!client) {
+        throw new Error('Log in to open saved configurations');
+      }
+      
+      const saved = await client.get(id);
+      if (!saved.configuration) {
+        throw new Error('Saved configuration is empty');
+      }
+      console.log('[Prinjekt Master] Opening saved configuration:', saved.name);
+      return this.importConfigurationFile(saved.configuration);
+    }
+
+    // ========== IMAGE CAPTURE ==========
+    /**
+     * Render the model from a standard angle, independent of the canvas size
+     * @param {Object} [options]
+     * @param {number} [options.width=1200] - Image width in pixels
+     * @param {number} [options.height=900] - Image height in pixels
+     * @param {boolean} [options.transparent=false] - Transparent instead of viewer background
+     * @param {string} [options.view='iso'] - 'front', 'side', 'top' or 'iso'
+     * @param {string} [options.format='png'] - 'png', 'webp' or 'jpeg' (always opaque)
+     * @param {number} [options.quality=0.92] - WebP/JPEG quality (0-1)
+     * @param {boolean} [options.helpers=false] - Keep grid, axes and measurement in the image
+     * @returns {Promise<Blob>} Encoded image
+     */
+    async captureImage(options = {}) {
+      const { width = 1200, height = 900, view = 'iso' } = options;
+      const angle = CAPTURE_VIEWS[view];
+      if (!angle) {
+        throw new Error(`Unknown capture view: ${view}`);
+      }
+      
+      return this._withCaptureRenderer({ ...options, width, height }, (renderView) => (
+        renderView(new window.THREE.Vector3(...angle.direction), angle.up && new window.THREE.Vector3(...angle.up))
+      ));
+    }
+
+    /**
+     * Render a full turn around the model as an image sequence
+     * @param {Object} [options] - Same as captureImage, plus:
+     * @param {number} [options.frames=36] - Frames per revolution
+     * @param {number} [options.elevation=0.5] - Camera height relative to the orbit radius
+     * @returns {Promise<Blob[]>} One encoded image per frame
+     */
+    async captureTurntable(options = {}) {
+      const { width = 600, height = 600, elevation = 0.5 } = options;
+      const frames = Math.round(options.frames || 36);
+      if (frames < 1 || frames > 360) {
+        throw new Error('Turntable frames must be between 1 and 360');
+      }
+      
+      return this._withCaptureRenderer({ ...options, width, height }, async (renderView) => {
+        const images = [];
+        for (let i = 0; i < frames; i++) {
+          const angle = (i / frames) * Math.PI * 2;
+          images.push(await renderView(new window.THREE.Vector3(Math.sin(angle), elevation, Math.cos(angle))));
+        }
+        return images;
+      });
+    }
+
+    /**
+     * Run a capture with a temporary offscreen renderer framed on the model
+     * @param {Object} options - { width, height, transparent, format, quality, helpers }
+     * @param {Function} capture - Receives renderView(direction, up) => Promise<Blob>
+     * @returns {Promise<*>} Result of capture
+     */
+    async _withCaptureRenderer(options, capture) {
+      if (!this.currentModel || !this.scene) {
+        throw new Error('No model loaded');
+      }
+      const width = Math.round(options.width);
+      const height = Math.round(options.height);
+      if (!(width > 0 && height > 0 && width <= MAX_CAPTURE_SIZE && height <= MAX_CAPTURE_SIZE)) {
+        throw new Error(`Image size must be between 1 and ${MAX_CAPTURE_SIZE} pixels`);
+      }
+      const { format = 'png', quality = 0.92 } = options;
+      const mimeType = CAPTURE_FORMATS[format];
+      if (!mimeType) {
+        throw new Error(`Unsupported image format: ${format}`);
+      }
+      
+      const THREE = window.THREE;
+      const canvas = document.createElement('canvas');
+      const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true, preserveDrawingBuffer: true });
+      renderer.setPixelRatio(1);
+      renderer.setSize(width, height, false);
+      renderer.shadowMap.enabled = this.renderer.shadowMap.enabled;
+      if (options.transparent) {
+        renderer.setClearColor(0x000000, 0);
+      }
+      
+      // Frame the bounding sphere so every view angle fits
+      const sphere = new THREE.Box3().setFromObject(this.currentModel).getBoundingSphere(new THREE.Sphere());
+      const camera = new THREE.PerspectiveCamera(this.camera.fov, width / height, 0.1, 1000);
+      const verticalFov = THREE.MathUtils.degToRad(camera.fov);
+      const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * camera.aspect);
+      const distance = (sphere.radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2)) * CAPTURE_PADDING;
+      camera.far = Math.max(1000, distance + sphere.radius * 2);
+      camera.updateProjectionMatrix();
+      
+      // The printability overlay is a child of currentModel (it moves with the model) - hidden
+      // through its own visible flag, the model itself stays visible
+      const helpers = [
+        this.gridHelper, this.axesHelper, this.measureOverlay, this.ghostOverlay,
+        this.dimensionOverlay, this.printabilityOverlay
+      ];
+      const hidden = options.helpers ? [] : helpers.filter(o => o && o.visible);
+      
+      // Scene changes are reverted synchronously - the on-screen loop never sees them
+      const renderView = (direction, up = new THREE.Vector3(0, 1, 0)) => {
+        camera.up.copy(up);
+        camera.position.copy(sphere.center).addScaledVector(direction.normalize(), distance);
+        camera.lookAt(sphere.center);
+        
+        const background = this.scene.background;
+        if (options.transparent) this.scene.background = null;
+        hidden.forEach(o => { o.visible = false; });
+        try {
+          renderer.render(this.scene, camera);
+        } finally {
+          this.scene.background = background;
+          hidden.forEach(o => { o.visible = true; });
+        }
+        
+        return new Promise((resolve, reject) => {
+          canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('Image encoding failed'));
+          }, mimeType, quality);
+        });
+      };
+      
+      try {
+        return await capture(renderView);
+      } finally {
+        renderer.dispose();
+        renderer.forceContextLoss();
+      }
     }
 
     // ========== STATE MANAGEMENT ==========
@@ -937,7 +3619,28 @@
      */
     updateState(updates) {
       this.state = { ...this.state, ...updates };
+      
+      // Constraints are derived from the parameters - keep them in lockstep
+      if (updates.parameters) {
+        let evaluated = this._evaluateConstraints(this.state.parameters);
+        // A correction can change other constraints - a few passes settle chained rules
+        for (let pass = 0; pass < 3; pass++) {
+          const corrected = this._correctLockedParameters(this.state.parameters, evaluated.constraints);
+          if (!corrected) break;
+          this.state.parameters = corrected;
+          evaluated = this._evaluateConstraints(corrected);
+        }
+        Object.assign(this.state, evaluated);
+      }
+      if (updates.pricing || updates.quantity !== undefined) {
+        this.state.quantityPricing = this._computeQuantityPricing(this.state.pricing, this.state.quantity);
+      }
+      
       this.onStateChange(this.state);
+      
+      if (updates.parameters && this.urlStateEnabled) {
+        this._scheduleUrlSync();
+      }
     }
 
     /**
@@ -983,11 +3686,129 @@
       };
     }
 
+    /**
+     * Build the downloadable configuration file (current format version)
+     * @returns {Object} Configuration file contents
+     */
+    getConfigurationFile() {
+      const currentConfig = this.getCurrentConfig();
+      return {
+        format: CONFIG_FILE_FORMAT,
+        version: CONFIG_FILE_VERSION,
+        productGid: this.productGid,
+        timestamp: new Date().toISOString(),
+        parameters: currentConfig.parameters,
+        pricing: currentConfig.pricing,
+        ...(this.state.material.id && { material: { id: this.state.material.id, color: this.state.material.color } })
+      };
+    }
+
+    /**
+     * Export the displayed model for inspection in a slicer
+     * Geometry is written in part coordinates (Z up, millimetres) together with
+     * the parameter set it was generated from.
+     * @param {string} format - 'stl' (binary), 'stl-ascii', 'obj' or '3mf'
+     * @returns {Object} { blob, filename }
+     */
+    exportModel(format = 'stl') {
+      if (!window.PrinjektModelExport) {
+        throw new Error('Model export module not loaded');
+      }
+      if (!this.currentModel || !this.modelSource) {
+        throw new Error('No model loaded');
+      }
+      const formatInfo = window.PrinjektModelExport.FORMATS[format];
+      if (!formatInfo) {
+        throw new Error(`Unsupported export format: ${format}`);
+      }
+      
+      const { parameters, material } = this.modelSource;
+      const metadata = { ...parameters };
+      if (material.id) {
+        metadata.material = material.name;
+        metadata.color = material.colorName || material.color;
+      }
+      
+      // Configuration file of the exported geometry, not of pending edits
+      const configuration = this.getConfigurationFile();
+      Object.entries(configuration.parameters).forEach(([key, param]) => {
+        if (key in parameters) param.value = parameters[key];
+      });
+      delete configuration.material;
+      if (material.id) {
+        configuration.material = { id: material.id, color: material.color };
+      }
+      
+      const blob = window.PrinjektModelExport.write(format, this.currentModel.geometry, {
+        name: this.productGid.split('/').pop(),
+        metadata,
+        configuration
+      });
+      
+      const filename = `prinjekt-model-${Date.now()}${format === 'stl-ascii' ? '-ascii' : ''}.${formatInfo.extension}`;
+      console.log('[Prinjekt Master] ✓ Model exported:', filename, blob.size, 'bytes');
+      return { blob, filename };
+    }
+
+    /**
+     * Validate, migrate and apply a saved configuration file
+     * @param {Object} data - Parsed configuration file (any known version)
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Reject out-of-range values instead of clamping them
+     * @returns {Object} Report { applied, problems }
+     */
+    importConfigurationFile(data, options = {}) {
+      if (!data || typeof data !== 'object' || typeof data.parameters !== 'object' || data.parameters === null) {
+        const problems = [configProblem('invalid_file', 'error', 'File is not a configuration file')];
+        this.updateState({ configProblems: problems });
+        return { applied: false, problems };
+      }
+      
+      let file;
+      try {
+        file = migrateConfigFile(data);
+      } catch (error) {
+        const problems = [configProblem('unsupported_version', 'error', error.message)];
+        this.updateState({ configProblems: problems });
+        return { applied: false, problems };
+      }
+      
+      if (file.productGid && file.productGid !== this.productGid) {
+        const problems = [configProblem('product_mismatch', 'error', 'Configuration belongs to a different product', {
+          value: file.productGid
+        })];
+        this.updateState({ configProblems: problems });
+        return { applied: false, problems };
+      }
+      
+      const report = this.loadConfiguration(file.parameters, { ...options, reportMissing: true });
+      if (file.material && file.material.id && this.materials.length > 0) {
+        if (!this.setMaterial(file.material.id, file.material.color)) {
+          report.problems.push(configProblem('unknown_material', 'warning', `Material "${file.material.id}" is not available - kept ${this.state.material.name}`, {
+            value: file.material.id
+          }));
+          this.updateState({ configProblems: report.problems });
+        }
+      }
+      if (!file.productGid) {
+        report.problems.unshift(configProblem('unknown_product', 'warning', 'File does not name its product - values were checked against this product'));
+        this.updateState({ configProblems: report.problems });
+      }
+      return report;
+    }
+
     /**
      * Load configuration from saved data
+     * Each value is checked against its parameter definition (valueType,
+     * rangeConfig, dropdownOptions). Renamed parameters are mapped through the
+     * `aliases` / `previousNames` metadata from /get_params; unknown ones are reported.
      * @param {Object} parameters - Parameters object from saved configuration
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Reject out-of-range values instead of clamping them
+     * @param {boolean} [options.reportMissing=false] - Report parameters absent from the configuration
+     * @returns {Object|false} Report { applied, problems } or false without parameters
      */
-    loadConfiguration(parameters) {
+    loadConfiguration(parameters, options = {}) {
       if (!parameters) {
         console.warn('[Prinjekt Master] No parameters provided to loadConfiguration');
         return false;
@@ -995,25 +3816,166 @@
       
       console.log('[Prinjekt Master] Loading configuration...', parameters);
       
-      // Update each parameter value
-      const updatedParams = { ...this.state.parameters };
+      const problems = [];
+      const definitions = this.state.parameters;
       
-      Object.entries(parameters).forEach(([key, savedParam]) => {
-        if (updatedParams[key]) {
-          // Update the value from saved config
-          updatedParams[key].value = savedParam.value !== undefined ? savedParam.value : savedParam.defaultValue;
-          console.log(`[Prinjekt Master] Loaded parameter "${key}":`, updatedParams[key].value);
+      // Former parameter names -> current name
+      const renamed = {};
+      Object.entries(definitions).forEach(([key, param]) => {
+        [].concat(param.aliases || [], param.previousNames || []).forEach(alias => {
+          renamed[alias] = key;
+        });
+      });
+      
+      const values = {};
+      Object.entries(parameters).forEach(([savedKey, savedParam]) => {
+        let key = savedKey;
+        if (!definitions[key] && renamed[key]) {
+          key = renamed[savedKey];
+          problems.push(configProblem('renamed_parameter', 'warning', `"${savedKey}" is now called "${key}"`, { parameter: key, value: savedKey }));
+        }
+        if (!definitions[key]) {
+          problems.push(configProblem('unknown_parameter', 'warning', `"${savedKey}" no longer exists and was ignored`, { parameter: savedKey }));
+          return;
+        }
+        
+        const raw = (savedParam !== null && typeof savedParam === 'object')
+          ? (savedParam.value !== undefined ? savedParam.value : savedParam.defaultValue)
+          : savedParam;
+        const result = validateParameterValue({ ...definitions[key], name: key }, raw, options.strict === true);
+        if (result.problem) problems.push(result.problem);
+        if (result.value !== undefined) values[key] = result.value;
+      });
+      
+      Object.keys(definitions).forEach(key => {
+        if (options.reportMissing && !(key in values) && !problems.some(p => p.parameter === key)) {
+          problems.push(configProblem('missing_parameter', 'warning', `"${key}" was not in the configuration - current value kept`, { parameter: key }));
         }
       });
       
+      problems.forEach(problem => console.warn(`[Prinjekt Master] Config ${problem.severity}: ${problem.message}`));
+      
+      this._recordHistory();
+      
+      // Update each parameter value
+      const updatedParams = { ...definitions };
+      
+      Object.entries(values).forEach(([key, value]) => {
+        updatedParams[key] = { ...updatedParams[key], value };
+        console.log(`[Prinjekt Master] Loaded parameter "${key}":`, value);
+      });
+      
       // Update state with loaded parameters
+      this.parameterRevision++;
       this.updateState({ 
         parameters: updatedParams,
-        isDirty: true // Mark as dirty so user knows to update preview
+        isDirty: true, // Mark as dirty so user knows to update preview
+        configProblems: problems,
+        ...this._historyState()
       });
       
-      console.log('[Prinjekt Master] ✓ Configuration loaded successfully');
-      return true;
+      console.log('[Prinjekt Master] ✓ Configuration loaded', problems.length ? `with ${problems.length} problem(s)` : 'successfully');
+      
+      if (this.state.autoUpdate) {
+        this.scheduleGenerate(0);
+      }
+      return { applied: true, problems };
+    }
+
+    /**
+     * Dismiss the problems reported by the last configuration import
+     */
+    clearConfigProblems() {
+      this.updateState({ configProblems: [] });
+    }
+
+    // ========== SHAREABLE LINKS ==========
+    /**
+     * Values that differ from the backend defaults (what a link needs to carry)
+     * @returns {Object} Changed parameter values by name
+     */
+    _getChangedParameterValues() {
+      const changed = {};
+      Object.entries(this.getParameterValues()).forEach(([key, value]) => {
+        if (String(value) !== String(this.state.parameters[key].defaultValue)) {
+          changed[key] = value;
+        }
+      });
+      return changed;
+    }
+
+    /**
+     * Build a link that reopens the current configuration
+     * @returns {Promise<string>} Absolute URL
+     */
+    async getShareUrl() {
+      const url = new URL(window.location.href);
+      const fragment = new URLSearchParams(url.hash.slice(1));
+      const changed = this._getChangedParameterValues();
+      
+      if (Object.keys(changed).length > 0) {
+        fragment.set(this.urlStateKey, await encodeUrlState(changed));
+      } else {
+        fragment.delete(this.urlStateKey);
+      }
+      
+      const hash = fragment.toString();
+      url.hash = hash ? `#${hash}` : '';
+      return url.toString();
+    }
+
+    /**
+     * Apply the configuration carried by the current URL (if any)
+     * @returns {Promise<boolean>} True if a configuration was applied
+     */
+    async restoreFromUrl() {
+      const fragment = new URLSearchParams(window.location.hash.slice(1));
+      const token = fragment.get(this.urlStateKey);
+      if (!token) return false;
+      
+      try {
+        const values = await decodeUrlState(token);
+        if (!values) return false;
+        
+        const saved = {};
+        Object.entries(values).forEach(([key, value]) => {
+          saved[key] = { value };
+        });
+        this.loadConfiguration(saved);
+        // A shared link is the starting point - nothing to undo yet
+        this.clearHistory();
+        
+        console.log('[Prinjekt Master] ✓ Configuration restored from link');
+        return true;
+      } catch (error) {
+        console.warn('[Prinjekt Master] Could not read configuration from link:', error);
+        return false;
+      }
+    }
+
+    _scheduleUrlSync() {
+      clearTimeout(this.urlSyncTimer);
+      this.urlSyncTimer = setTimeout(() => {
+        this.urlSyncTimer = null;
+        this._syncUrl();
+      }, 300);
+    }
+
+    /**
+     * Mirror the configuration into the address bar without adding history entries
+     */
+    async _syncUrl() {
+      try {
+        const shareUrl = await this.getShareUrl();
+        if (shareUrl !== window.location.href) {
+          window.history.replaceState(window.history.state, '', shareUrl);
+        }
+        if (shareUrl !== this.state.shareUrl) {
+          this.updateState({ shareUrl });
+        }
+      } catch (error) {
+        console.warn('[Prinjekt Master] URL sync failed:', error);
+      }
     }
 
     // ========== ERROR HANDLING ==========
@@ -1026,11 +3988,15 @@
       const errorObj = {
         message,
         error: error.message || error,
+        // PrinjektApiError type for localized messages (see prinjekt-api-client.js), null otherwise
+        type: error.type || null,
+        detail: error.detail || null,
         timestamp: new Date().toISOString()
       };
       
       this.updateState({ 
         loading: false, 
+        loadProgress: null,
         error: errorObj 
       });
       
@@ -1082,6 +4048,30 @@
 
 
     // ========== CLEANUP ==========
+    /**
+     * Remove the current model from the scene and free its GPU resources
+     */
+    _disposeCurrentModel() {
+      if (!this.currentModel) return;
+      
+      this.scene.remove(this.currentModel);
+      this.currentModel.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (Array.isArray(child.material)) {
+            child.material.forEach(m => m.dispose());
+          } else {
+            child.material.dispose();
+          }
+        }
+      });
+      this.currentModel = null;
+      this.modelSource = null;
+      // The overlay was a child of the model and is gone with it
+      this.printabilityOverlay = null;
+      this.printabilityFlags = null;
+    }
+
     /**
      * Destroy configurator and cleanup resources
      */
@@ -1091,25 +4081,45 @@
       // Stop render loop
       this.stopRenderLoop();
       
+      // Cancel pending and running generations
+      this.cancelScheduledGenerate();
+      clearTimeout(this.urlSyncTimer);
+      clearTimeout(this.printabilityTimer);
+      this._finishPrintabilityAnalysis();
+      if (this.generateController) {
+        this.generateController.abort();
+        this.generateController = null;
+      }
+      this.generateRequestId++;
+      
+      // Stop geometry workers (running decodes are rejected) and the fallback loader
+      if (this.workerPool) {
+        this.workerPool.terminate();
+        this.workerPool = null;
+      }
+      if (this.dracoLoader) {
+        this.dracoLoader.dispose();
+        this.dracoLoader = null;
+      }
+      
       // Remove event listeners
       if (this.handleResize) {
         window.removeEventListener('resize', this.handleResize);
       }
+      if (this.handleHashChange) {
+        window.removeEventListener('hashchange', this.handleHashChange);
+      }
+      if (this.handleConnectionChange) {
+        window.removeEventListener('online', this.handleConnectionChange);
+        window.removeEventListener('offline', this.handleConnectionChange);
+      }
       
       // Dispose Three.js objects
-      if (this.currentModel) {
-        this.scene.remove(this.currentModel);
-        this.currentModel.traverse((child) => {
-          if (child.geometry) child.geometry.dispose();
-          if (child.material) {
-            if (Array.isArray(child.material)) {
-              child.material.forEach(m => m.dispose());
-            } else {
-              child.material.dispose();
-            }
-          }
-        });
-      }
+      this.setMeasureMode(false);
+      this._disposeOverlay(this.dimensionOverlay);
+      this.dimensionOverlay = null;
+      this.clearPinnedConfigurations();
+      this._disposeCurrentModel();
       
       if (this.renderer) {
         this.renderer.dispose();
@@ -1126,6 +4136,8 @@
   // ========== EXPORT ==========
   // Make it available globally
   window.PrinjektConfigurator = PrinjektConfigurator;
+  // Shared with the upload tool - one material catalogue per page
+  PrinjektConfigurator.normalizeMaterials = normalizeMaterials;
   
   console.log('[Prinjekt Master] Logic library loaded');
   
@@ -0,0 +1,189 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - GEOMETRY TASKS
+ * ============================================================================
+ * Worker tasks for generated models, run through prinjekt-worker-pool.js:
+ * - 'decode-draco': DRACO buffer -> attribute arrays, index, bounding box and
+ *   sphere (Google's decoder, loaded once per worker)
+ * - 'printability': prinjekt-printability.js on the raw arrays
+ * Attribute decoding follows three.js r128 DRACOLoader, so the result is the
+ * geometry the main-thread loader would produce.
+ * NO UI, NO Three.js dependency.
+ * Usage:
+ * const pool = new PrinjektWorkerPool.WorkerPool([poolUrl, printabilityUrl, geometryTasksUrl]);
+ * const decoded = await pool.run('decode-draco', { buffer, decoderPath }, { transfer: [buffer], onProgress });
+ * ============================================================================
+ */
+
+(function(scope) {
+  'use strict';
+
+  // DRACO attribute -> BufferGeometry attribute (same set as DRACOLoader's defaults)
+  const DRACO_ATTRIBUTES = {
+    position: 'POSITION',
+    normal: 'NORMAL',
+    color: 'COLOR',
+    uv: 'TEX_COORD'
+  };
+
+  /**
+   * Bounding box and sphere of a position array, in the format of THREE.Box3 / THREE.Sphere
+   * @param {Float32Array} positions - 3 values per vertex
+   * @returns {Object} { boundingBox: { min, max }, boundingSphere: { center, radius } }
+   */
+  function measure(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = positions[i + axis];
+        if (value < min[axis]) min[axis] = value;
+        if (value > max[axis]) max[axis] = value;
+      }
+    }
+
+    // Same as BufferGeometry.computeBoundingSphere: box centre, farthest vertex
+    const center = min.map((value, axis) => (value + max[axis]) / 2);
+    let radiusSq = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+      const dx = positions[i] - center[0];
+      const dy = positions[i + 1] - center[1];
+      const dz = positions[i + 2] - center[2];
+      radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+    }
+
+    return {
+      boundingBox: { min, max },
+      boundingSphere: { center, radius: Math.sqrt(radiusSq) }
+    };
+  }
+
+  // ========== WORKER TASKS ==========
+  let decoderModule = null;
+
+  /**
+   * Google's DRACO decoder - WebAssembly build, JavaScript build as fallback
+   * @param {string} decoderPath - Versioned decoder directory (trailing slash)
+   */
+  function loadDecoder(decoderPath) {
+    if (decoderModule) return decoderModule;
+    decoderModule = (async () => {
+      const options = {};
+      if (typeof WebAssembly === 'object') {
+        scope.importScripts(decoderPath + 'draco_wasm_wrapper.js');
+        const response = await fetch(decoderPath + 'draco_decoder.wasm');
+        if (!response.ok) throw new Error(`DRACO decoder could not be loaded (${response.status})`);
+        options.wasmBinary = await response.arrayBuffer();
+      } else {
+        scope.importScripts(decoderPath + 'draco_decoder.js');
+      }
+      return new Promise(resolve => {
+        // The module object is thenable - resolving with it directly would loop
+        options.onModuleLoaded = draco => resolve({ draco });
+        scope.DracoDecoderModule(options);
+      });
+    })();
+    // A failed load (e.g. offline) may be retried with the next model
+    decoderModule.catch(() => { decoderModule = null; });
+    return decoderModule;
+  }
+
+  function decodeAttribute(draco, decoder, dracoGeometry, attribute) {
+    const numComponents = attribute.num_components();
+    const numValues = dracoGeometry.num_points() * numComponents;
+    const byteLength = numValues * Float32Array.BYTES_PER_ELEMENT;
+    const ptr = draco._malloc(byteLength);
+    decoder.GetAttributeDataArrayForAllPoints(dracoGeometry, attribute, draco.DT_FLOAT32, byteLength, ptr);
+    const array = new Float32Array(draco.HEAPF32.buffer, ptr, numValues).slice();
+    draco._free(ptr);
+    return { array, itemSize: numComponents };
+  }
+
+  function decodeIndex(draco, decoder, dracoGeometry) {
+    const numIndices = dracoGeometry.num_faces() * 3;
+    const byteLength = numIndices * Uint32Array.BYTES_PER_ELEMENT;
+    const ptr = draco._malloc(byteLength);
+    decoder.GetTrianglesUInt32Array(dracoGeometry, byteLength, ptr);
+    const index = new Uint32Array(draco.HEAPF32.buffer, ptr, numIndices).slice();
+    draco._free(ptr);
+    return index;
+  }
+
+  /**
+   * Decode a DRACO buffer
+   * @param {Object} payload - { buffer: ArrayBuffer, decoderPath }
+   * @param {Function} progress - Pool progress callback
+   * @returns {Promise<Object>} { attributes: { name: { array, itemSize } }, index, boundingBox, boundingSphere }
+   */
+  async function decodeDraco({ buffer, decoderPath }, progress) {
+    progress('decoding', 0, 2);
+    const { draco } = await loadDecoder(decoderPath);
+    progress('decoding', 1, 2);
+
+    const decoder = new draco.Decoder();
+    const decoderBuffer = new draco.DecoderBuffer();
+    let dracoGeometry = null;
+    try {
+      decoderBuffer.Init(new Int8Array(buffer), buffer.byteLength);
+      const geometryType = decoder.GetEncodedGeometryType(decoderBuffer);
+      let status;
+      if (geometryType === draco.TRIANGULAR_MESH) {
+        dracoGeometry = new draco.Mesh();
+        status = decoder.DecodeBufferToMesh(decoderBuffer, dracoGeometry);
+      } else if (geometryType === draco.POINT_CLOUD) {
+        dracoGeometry = new draco.PointCloud();
+        status = decoder.DecodeBufferToPointCloud(decoderBuffer, dracoGeometry);
+      } else {
+        throw new Error('DRACO decoding failed: unexpected geometry type');
+      }
+      if (!status.ok() || dracoGeometry.ptr === 0) {
+        throw new Error('DRACO decoding failed: ' + status.error_msg());
+      }
+
+      const attributes = {};
+      Object.keys(DRACO_ATTRIBUTES).forEach(name => {
+        const attributeId = decoder.GetAttributeId(dracoGeometry, draco[DRACO_ATTRIBUTES[name]]);
+        if (attributeId === -1) return;
+        attributes[name] = decodeAttribute(draco, decoder, dracoGeometry, decoder.GetAttribute(dracoGeometry, attributeId));
+      });
+      if (!attributes.position) {
+        throw new Error('DRACO decoding failed: no positions');
+      }
+      const index = geometryType === draco.TRIANGULAR_MESH ? decodeIndex(draco, decoder, dracoGeometry) : null;
+
+      progress('processing');
+      return { attributes, index, ...measure(attributes.position.array) };
+    } finally {
+      if (dracoGeometry) draco.destroy(dracoGeometry);
+      draco.destroy(decoderBuffer);
+      draco.destroy(decoder);
+    }
+  }
+
+  /**
+   * Printability report for raw arrays (see prinjekt-printability.js)
+   * @param {Object} payload - { positions, index, options }
+   */
+  function printability({ positions, index, options }) {
+    const geometry = {
+      attributes: { position: { array: positions } },
+      index: index ? { array: index } : null
+    };
+    return scope.PrinjektPrintability.analyze(geometry, options);
+  }
+
+  if (scope.PrinjektWorkerPool) {
+    scope.PrinjektWorkerPool.register('decode-draco', decodeDraco);
+    if (scope.PrinjektPrintability) {
+      scope.PrinjektWorkerPool.register('printability', printability);
+    }
+  }
+
+  // ========== EXPORT ==========
+  scope.PrinjektGeometryTasks = {
+    measure
+  };
+
+  console.log('[Prinjekt Geometry Tasks] Module loaded');
+
+})(typeof window !== 'undefined' ? window : self);
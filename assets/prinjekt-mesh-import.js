@@ -0,0 +1,346 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - MESH IMPORT
+ * ============================================================================
+ * Headless parsers for customer uploads, used by the upload tool:
+ * - STL (binary and ASCII)
+ * - OBJ (polygons are fan-triangulated)
+ * - 3MF (core spec and production extension paths - build items, components and
+ *   their transforms applied, units converted to millimetres)
+ * - STEP is recognised but not parsed - geometry comes from the backend
+ * Output is a flat triangle list in millimetres (Z up), plus volume,
+ * surface area and bounding box computed client-side.
+ * NO UI, NO Three.js dependency - also loaded into the mesh repair worker.
+ * Usage:
+ * const mesh = await PrinjektMeshImport.parse(file);
+ * const { volume, surfaceArea, boundingBox } = PrinjektMeshImport.analyze(mesh.positions);
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  const FORMATS = {
+    stl: { extensions: ['stl'], preview: true },
+    obj: { extensions: ['obj'], preview: true },
+    '3mf': { extensions: ['3mf'], preview: true },
+    step: { extensions: ['step', 'stp'], preview: false }
+  };
+
+  // 3MF model units in millimetres
+  const UNIT_SCALE = {
+    micron: 0.001,
+    millimeter: 1,
+    centimeter: 10,
+    inch: 25.4,
+    foot: 304.8,
+    meter: 1000
+  };
+  const PRODUCTION_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/production/2015/06';
+  // 3MF affine transform "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32" (row vectors: p' = p·M + t)
+  const IDENTITY_TRANSFORM = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+  const MAX_COMPONENT_DEPTH = 32;
+
+  /**
+   * Format key for a file name, null if not supported
+   */
+  function formatOf(filename) {
+    const extension = String(filename).split('.').pop().toLowerCase();
+    return Object.keys(FORMATS).find(key => FORMATS[key].extensions.includes(extension)) || null;
+  }
+
+  // ========== STL ==========
+  function parseStl(buffer) {
+    const view = new DataView(buffer);
+    const count = buffer.byteLength >= 84 ? view.getUint32(80, true) : 0;
+    // Binary files may also start with "solid" - the size check decides
+    if (buffer.byteLength === 84 + count * 50) {
+      const positions = new Float32Array(count * 9);
+      for (let i = 0; i < count; i++) {
+        const offset = 84 + i * 50 + 12;
+        for (let j = 0; j < 9; j++) {
+          positions[i * 9 + j] = view.getFloat32(offset + j * 4, true);
+        }
+      }
+      return positions;
+    }
+
+    const text = new TextDecoder().decode(buffer);
+    if (!/^\s*solid/.test(text)) {
+      throw new Error('Invalid STL file');
+    }
+    const values = [];
+    const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      values.push(parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]));
+    }
+    return Float32Array.from(values.slice(0, values.length - (values.length % 9)));
+  }
+
+  // ========== OBJ ==========
+  function parseObj(buffer) {
+    const vertices = [];
+    const values = [];
+    new TextDecoder().decode(buffer).split(/\r?\n/).forEach(line => {
+      const parts = line.trim().split(/\s+/);
+      if (parts[0] === 'v') {
+        vertices.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+      } else if (parts[0] === 'f') {
+        // "f 1/2/3 4//6 -1" - only the vertex index, negative = relative to the end
+        const indices = parts.slice(1).map(part => {
+          const index = parseInt(part.split('/')[0], 10);
+          return index < 0 ? vertices.length + index : index - 1;
+        });
+        for (let i = 1; i + 1 < indices.length; i++) {
+          [indices[0], indices[i], indices[i + 1]].forEach(index => {
+            const vertex = vertices[index];
+            if (!vertex) throw new Error('Invalid OBJ file: face references a missing vertex');
+            values.push(vertex[0], vertex[1], vertex[2]);
+          });
+        }
+      }
+    });
+    return new Float32Array(values);
+  }
+
+  // ========== 3MF ==========
+  /**
+   * Files of a ZIP archive (central directory), deflate via DecompressionStream
+   * @returns {Promise<Object>} { [path]: Uint8Array }
+   */
+  async function readZip(buffer, filter) {
+    const view = new DataView(buffer);
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--;
+    if (end < 0) throw new Error('Invalid 3MF file: not a ZIP archive');
+
+    const files = {};
+    let offset = view.getUint32(end + 16, true);
+    const count = view.getUint16(end + 10, true);
+    for (let i = 0; i < count; i++) {
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+      if (!filter(name)) continue;
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+      if (method === 0) {
+        files[name] = data;
+      } else if (method === 8) {
+        if (typeof DecompressionStream === 'undefined') {
+          throw new Error('3MF files are not supported in this browser');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        files[name] = new Uint8Array(await new Response(stream).arrayBuffer());
+      } else {
+        throw new Error(`Invalid 3MF file: unsupported compression ${method}`);
+      }
+    }
+    return files;
+  }
+
+  function parseTransform(element) {
+    const source = element.getAttribute('transform');
+    if (!source) return IDENTITY_TRANSFORM;
+    const matrix = source.trim().split(/\s+/).map(parseFloat);
+    if (matrix.length !== 12 || !matrix.every(isFinite)) {
+      throw new Error('Invalid 3MF file: invalid transform');
+    }
+    return matrix;
+  }
+
+  /**
+   * Transform applying a first, then b
+   */
+  function multiplyTransforms(a, b) {
+    const result = new Array(12);
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 3; col++) {
+        result[row * 3 + col] = a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]
+          + (row === 3 ? b[9 + col] : 0);
+      }
+    }
+    return result;
+  }
+
+  function childElements(element, name) {
+    return Array.from(element.childNodes).filter(child => child.nodeType === 1 && child.localName === name);
+  }
+
+  /**
+   * Model part an item or component points to - production extension p:path, else the current part
+   */
+  function partPath(element, fallback) {
+    const path = element.getAttributeNS(PRODUCTION_NAMESPACE, 'path');
+    return path ? path.replace(/^\//, '') : fallback;
+  }
+
+  function readMesh(mesh) {
+    const vertices = Array.from(mesh.getElementsByTagName('vertex')).map(vertex => [
+      parseFloat(vertex.getAttribute('x')),
+      parseFloat(vertex.getAttribute('y')),
+      parseFloat(vertex.getAttribute('z'))
+    ]);
+    const triangles = Array.from(mesh.getElementsByTagName('triangle')).map(triangle => (
+      ['v1', 'v2', 'v3'].map(key => {
+        const vertex = vertices[parseInt(triangle.getAttribute(key), 10)];
+        if (!vertex) throw new Error('Invalid 3MF file: triangle references a missing vertex');
+        return vertex;
+      })
+    ));
+    return triangles;
+  }
+
+  /**
+   * Triangles of every build item - objects placed through their item and component
+   * transforms, once per instance (an object built three times is three parts to print)
+   */
+  async function parse3mf(buffer) {
+    const files = await readZip(buffer, name => /\.model$/i.test(name));
+    const parts = {};
+    Object.keys(files).forEach(path => {
+      const xml = new DOMParser().parseFromString(new TextDecoder().decode(files[path]), 'application/xml');
+      const model = xml.documentElement;
+      if (!model || model.nodeName === 'parsererror' || xml.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid 3MF file: model is not valid XML');
+      }
+      const objects = {};
+      Array.from(model.getElementsByTagName('object')).forEach(object => {
+        objects[object.getAttribute('id')] = object;
+      });
+      parts[path] = { model, objects };
+    });
+
+    // Root part: the one with the build (3D/3dmodel.model by convention)
+    const rootPath = Object.keys(parts).find(path => childElements(parts[path].model, 'build').length > 0);
+    if (!rootPath) throw new Error('Invalid 3MF file: no build');
+    const root = parts[rootPath].model;
+    // Units are set by the root part and apply to all coordinates and translations
+    const scale = UNIT_SCALE[root.getAttribute('unit') || 'millimeter'] || 1;
+
+    const values = [];
+    const meshes = new Map();
+    const emitObject = (path, id, transform, depth) => {
+      if (depth > MAX_COMPONENT_DEPTH) throw new Error('Invalid 3MF file: components nest too deep');
+      const object = parts[path] && parts[path].objects[id];
+      if (!object) throw new Error(`Invalid 3MF file: object ${id} is missing`);
+
+      const mesh = childElements(object, 'mesh')[0];
+      if (mesh) {
+        if (!meshes.has(mesh)) meshes.set(mesh, readMesh(mesh));
+        const m = transform;
+        // Mirroring transforms flip the winding - swap two corners to keep the normals outward
+        const determinant = m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+        const order = determinant < 0 ? [0, 2, 1] : [0, 1, 2];
+        meshes.get(mesh).forEach(triangle => {
+          order.forEach(corner => {
+            const [x, y, z] = triangle[corner];
+            values.push(
+              (x * m[0] + y * m[3] + z * m[6] + m[9]) * scale,
+              (x * m[1] + y * m[4] + z * m[7] + m[10]) * scale,
+              (x * m[2] + y * m[5] + z * m[8] + m[11]) * scale
+            );
+          });
+        });
+        return;
+      }
+      const components = childElements(object, 'components')[0];
+      if (!components) return;
+      childElements(components, 'component').forEach(component => {
+        emitObject(partPath(component, path), component.getAttribute('objectid'),
+          multiplyTransforms(parseTransform(component), transform), depth + 1);
+      });
+    };
+
+    childElements(childElements(root, 'build')[0], 'item').forEach(item => {
+      emitObject(partPath(item, rootPath), item.getAttribute('objectid'), parseTransform(item), 0);
+    });
+    return new Float32Array(values);
+  }
+
+  // ========== API ==========
+  /**
+   * Read an uploaded mesh file
+   * @param {File|Blob} file - Uploaded file (name decides the format)
+   * @param {string} [format] - Format key, detected from file.name by default
+   * @returns {Promise<Object>} { format, positions: Float32Array (9 per triangle, mm), triangleCount }
+   */
+  async function parse(file, format = formatOf(file.name)) {
+    if (!format) {
+      throw new Error(`Unsupported file type: ${file.name}`);
+    }
+    if (!FORMATS[format].preview) {
+      throw new Error(`${format.toUpperCase()} files are analysed by the server`);
+    }
+
+    const buffer = await file.arrayBuffer();
+    const positions = format === 'stl' ? parseStl(buffer) : format === 'obj' ? parseObj(buffer) : await parse3mf(buffer);
+    if (positions.length === 0) {
+      throw new Error('The file contains no triangles');
+    }
+    for (let i = 0; i < positions.length; i++) {
+      if (!isFinite(positions[i])) throw new Error('The file contains invalid coordinates');
+    }
+    return { format, positions, triangleCount: positions.length / 9 };
+  }
+
+  /**
+   * Volume, surface area and bounding box of a triangle list
+   * Volume uses signed tetrahedra - exact for closed meshes, an estimate for open ones.
+   * @param {Float32Array} positions - 9 values per triangle (mm)
+   * @returns {Object} { volume (mm³), surfaceArea (mm²), boundingBox: { min, max, size } }
+   */
+  function analyze(positions) {
+    let volume = 0;
+    let surfaceArea = 0;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < positions.length; i += 9) {
+      const ax = positions[i], ay = positions[i + 1], az = positions[i + 2];
+      const bx = positions[i + 3], by = positions[i + 4], bz = positions[i + 5];
+      const cx = positions[i + 6], cy = positions[i + 7], cz = positions[i + 8];
+
+      volume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+      const ux = bx - ax, uy = by - ay, uz = bz - az;
+      const vx = cx - ax, vy = cy - ay, vz = cz - az;
+      const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+      surfaceArea += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+
+      for (let j = 0; j < 9; j++) {
+        const axis = j % 3;
+        if (positions[i + j] < min[axis]) min[axis] = positions[i + j];
+        if (positions[i + j] > max[axis]) max[axis] = positions[i + j];
+      }
+    }
+
+    return {
+      volume: Math.abs(volume),
+      surfaceArea,
+      boundingBox: {
+        min,
+        max,
+        size: max.map((value, axis) => value - min[axis])
+      }
+    };
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektMeshImport = {
+    parse,
+    analyze,
+    formatOf,
+    FORMATS
+  };
+
+  console.log('[Prinjekt Mesh Import] Module loaded');
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,383 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - MESH REPAIR
+ * ============================================================================
+ * Headless clean-up of uploaded meshes before they are measured and priced:
+ * - Unit detection from the bounding box (mm, cm, m, inch) and rescaling
+ * - Welding of duplicate vertices, removal of degenerate and duplicate triangles
+ * - Consistent, outward-facing winding per shell and recomputed face normals
+ * - Holes (boundary loops) and non-manifold edges reported, small holes closed
+ * - Volume, surface area and bounding box of the repaired mesh (prinjekt-mesh-import.js)
+ * Runs as the 'repair' task of the worker pool (prinjekt-worker-pool.js) or
+ * directly on the main thread.
+ * NO UI, NO Three.js dependency.
+ * Usage:
+ * const pool = new PrinjektWorkerPool.WorkerPool([poolUrl, meshImportUrl, meshRepairUrl]);
+ * const { positions, analysis, report } = await pool.run('repair', { positions: mesh.positions, options: { unit: 'auto' } });
+ * ============================================================================
+ */
+
+(function(scope) {
+  'use strict';
+
+  // Millimetres per file unit
+  const UNITS = {
+    mm: 1,
+    cm: 10,
+    m: 1000,
+    inch: 25.4
+  };
+  // Millimetres win whenever the largest side looks like a printable part
+  const UNIT_PRIORITY = ['mm', 'inch', 'cm', 'm'];
+  const PLAUSIBLE_SIZE = { min: 3, max: 600 };
+
+  // Weld tolerance relative to the bounding box diagonal
+  const WELD_TOLERANCE = 1e-6;
+  const DEFAULT_MAX_HOLE_EDGES = 64;
+
+  // ========== UNITS ==========
+  /**
+   * Guess the unit of a model from its bounding box
+   * @param {Array<number>} size - Bounding box size in file units
+   * @returns {Object} { unit, plausible, candidates: [{ unit, size, plausible }] }
+   */
+  function detectUnit(size) {
+    const largest = Math.max(...size);
+    const candidates = UNIT_PRIORITY.map(unit => {
+      const scaled = largest * UNITS[unit];
+      return {
+        unit,
+        size: size.map(value => value * UNITS[unit]),
+        plausible: scaled >= PLAUSIBLE_SIZE.min && scaled <= PLAUSIBLE_SIZE.max
+      };
+    });
+    const match = candidates.find(candidate => candidate.plausible);
+    return { unit: match ? match.unit : 'mm', plausible: !!match, candidates };
+  }
+
+  function boundingSize(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+      const axis = i % 3;
+      if (positions[i] < min[axis]) min[axis] = positions[i];
+      if (positions[i] > max[axis]) max[axis] = positions[i];
+    }
+    return max.map((value, axis) => value - min[axis]);
+  }
+
+  // ========== WELDING ==========
+  /**
+   * Merge vertices closer than the tolerance (grid snapping)
+   * @returns {Object} { vertices: Array<number>, indices: Uint32Array (3 per triangle) }
+   */
+  function weld(positions, tolerance) {
+    const lookup = new Map();
+    const vertices = [];
+    const indices = new Uint32Array(positions.length / 3);
+    const inverse = 1 / tolerance;
+    for (let i = 0; i < positions.length; i += 3) {
+      const key = `${Math.round(positions[i] * inverse)},${Math.round(positions[i + 1] * inverse)},${Math.round(positions[i + 2] * inverse)}`;
+      let index = lookup.get(key);
+      if (index === undefined) {
+        index = vertices.length / 3;
+        lookup.set(key, index);
+        vertices.push(positions[i], positions[i + 1], positions[i + 2]);
+      }
+      indices[i / 3] = index;
+    }
+    return { vertices, indices };
+  }
+
+  /**
+   * Drop triangles with a repeated vertex and triangles that exist twice (either winding)
+   */
+  function removeDegenerate(indices) {
+    const seen = new Set();
+    const triangles = [];
+    let degenerate = 0;
+    let duplicate = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+      const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+      if (a === b || b === c || c === a) {
+        degenerate++;
+        continue;
+      }
+      const key = [a, b, c].sort((x, y) => x - y).join(',');
+      if (seen.has(key)) {
+        duplicate++;
+        continue;
+      }
+      seen.add(key);
+      triangles.push(a, b, c);
+    }
+    return { triangles, degenerate, duplicate };
+  }
+
+  // ========== TOPOLOGY ==========
+  function edgeKey(a, b, vertexCount) {
+    return a < b ? a * vertexCount + b : b * vertexCount + a;
+  }
+
+  /**
+   * Triangles per undirected edge
+   * @returns {Map<number, Array<number>>}
+   */
+  function buildEdgeMap(triangles, vertexCount) {
+    const edges = new Map();
+    for (let t = 0; t < triangles.length / 3; t++) {
+      for (let k = 0; k < 3; k++) {
+        const key = edgeKey(triangles[t * 3 + k], triangles[t * 3 + (k + 1) % 3], vertexCount);
+        const faces = edges.get(key);
+        if (faces) faces.push(t);
+        else edges.set(key, [t]);
+      }
+    }
+    return edges;
+  }
+
+  function hasDirectedEdge(triangles, t, a, b) {
+    for (let k = 0; k < 3; k++) {
+      if (triangles[t * 3 + k] === a && triangles[t * 3 + (k + 1) % 3] === b) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consistent winding per shell: neighbours across a manifold edge must use it
+   * in opposite directions. Non-manifold edges are not crossed.
+   * @returns {Object} { flip: Uint8Array, shell: Int32Array, shellCount }
+   */
+  function orientShells(triangles, edges, vertexCount) {
+    const count = triangles.length / 3;
+    const flip = new Uint8Array(count);
+    const shell = new Int32Array(count).fill(-1);
+    const queue = new Int32Array(count);
+    let shellCount = 0;
+
+    for (let start = 0; start < count; start++) {
+      if (shell[start] !== -1) continue;
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = start;
+      shell[start] = shellCount;
+      while (head < tail) {
+        const t = queue[head++];
+        for (let k = 0; k < 3; k++) {
+          const a = triangles[t * 3 + k];
+          const b = triangles[t * 3 + (k + 1) % 3];
+          const faces = edges.get(edgeKey(a, b, vertexCount));
+          if (faces.length !== 2) continue;
+          const neighbour = faces[0] === t ? faces[1] : faces[0];
+          if (shell[neighbour] !== -1) continue;
+          shell[neighbour] = shellCount;
+          flip[neighbour] = flip[t] ^ (hasDirectedEdge(triangles, neighbour, a, b) ? 1 : 0);
+          queue[tail++] = neighbour;
+        }
+      }
+      shellCount++;
+    }
+    return { flip, shell, shellCount };
+  }
+
+  /**
+   * Boundary loops of an oriented mesh. Loop edges run opposite to their triangle's
+   * edge, so a triangle over the loop's edges faces the same way as the mesh.
+   * @returns {Object} { loops: [{ vertices, shell }], openChains, boundaryEdges, nonManifoldEdges }
+   */
+  function findHoles(triangles, edges, shell, vertexCount) {
+    const next = new Map();
+    let boundaryEdges = 0;
+    let nonManifoldEdges = 0;
+    edges.forEach((faces, key) => {
+      if (faces.length > 2) nonManifoldEdges++;
+      if (faces.length !== 1) return;
+      boundaryEdges++;
+      const t = faces[0];
+      const low = Math.floor(key / vertexCount);
+      const high = key % vertexCount;
+      const [from, to] = hasDirectedEdge(triangles, t, low, high) ? [high, low] : [low, high];
+      if (!next.has(from)) next.set(from, []);
+      next.get(from).push({ to, shell: shell[t] });
+    });
+
+    const loops = [];
+    let openChains = 0;
+    next.forEach((targets, start) => {
+      while (targets.length > 0) {
+        let step = targets.pop();
+        const vertices = [start];
+        while (step.to !== start) {
+          const following = next.get(step.to);
+          if (!following || following.length === 0) break;
+          vertices.push(step.to);
+          step = following.pop();
+        }
+        if (step.to === start) loops.push({ vertices, shell: step.shell });
+        else openChains++;
+      }
+    });
+    return { loops, openChains, boundaryEdges, nonManifoldEdges };
+  }
+
+  /**
+   * Close a loop: one triangle for three edges, else a fan around the loop's centroid
+   */
+  function fillHole(loop, vertices, triangles, triangleShells) {
+    const points = loop.vertices;
+    if (points.length === 3) {
+      triangles.push(points[0], points[1], points[2]);
+      triangleShells.push(loop.shell);
+      return;
+    }
+    const centroid = [0, 0, 0];
+    points.forEach(index => {
+      centroid[0] += vertices[index * 3] / points.length;
+      centroid[1] += vertices[index * 3 + 1] / points.length;
+      centroid[2] += vertices[index * 3 + 2] / points.length;
+    });
+    const center = vertices.length / 3;
+    vertices.push(centroid[0], centroid[1], centroid[2]);
+    points.forEach((index, i) => {
+      triangles.push(index, points[(i + 1) % points.length], center);
+      triangleShells.push(loop.shell);
+    });
+  }
+
+  function signedVolume(vertices, triangles, t) {
+    const a = triangles[t * 3] * 3, b = triangles[t * 3 + 1] * 3, c = triangles[t * 3 + 2] * 3;
+    return (
+      vertices[a] * (vertices[b + 1] * vertices[c + 2] - vertices[b + 2] * vertices[c + 1]) -
+      vertices[a + 1] * (vertices[b] * vertices[c + 2] - vertices[b + 2] * vertices[c]) +
+      vertices[a + 2] * (vertices[b] * vertices[c + 1] - vertices[b + 1] * vertices[c])
+    ) / 6;
+  }
+
+  // ========== REPAIR ==========
+  /**
+   * Clean up a triangle list and measure the result
+   * @param {Float32Array} positions - 9 values per triangle, in file units
+   * @param {Object} [options]
+   * @param {string} [options.unit='auto'] - File unit (mm, cm, m, inch) or 'auto' to detect it
+   * @param {boolean} [options.closeHoles=true] - Close holes up to maxHoleEdges edges
+   * @param {number} [options.maxHoleEdges=64] - Largest hole that is closed
+   * @returns {Object} { positions, normals (Float32Array, mm), unit, detection, analysis, report }
+   */
+  function repair(positions, options = {}) {
+    const closeHoles = options.closeHoles !== false;
+    const maxHoleEdges = options.maxHoleEdges || DEFAULT_MAX_HOLE_EDGES;
+
+    const size = boundingSize(positions);
+    const detection = detectUnit(size);
+    const unit = UNITS[options.unit] ? options.unit : detection.unit;
+    const diagonal = Math.sqrt(size[0] * size[0] + size[1] * size[1] + size[2] * size[2]);
+
+    // Step 1: Shared vertices, no degenerate or duplicate triangles
+    const welded = weld(positions, Math.max(diagonal * WELD_TOLERANCE, 1e-9));
+    const vertices = welded.vertices;
+    const cleaned = removeDegenerate(welded.indices);
+    const inputVertexCount = vertices.length / 3;
+
+    // Step 2: Consistent winding per shell
+    const edges = buildEdgeMap(cleaned.triangles, inputVertexCount);
+    const orientation = orientShells(cleaned.triangles, edges, inputVertexCount);
+    const triangles = cleaned.triangles.slice();
+    for (let t = 0; t < orientation.flip.length; t++) {
+      if (orientation.flip[t]) {
+        [triangles[t * 3 + 1], triangles[t * 3 + 2]] = [triangles[t * 3 + 2], triangles[t * 3 + 1]];
+      }
+    }
+
+    // Step 3: Holes and non-manifold edges, small holes closed
+    const holes = findHoles(triangles, edges, orientation.shell, inputVertexCount);
+    const triangleShells = Array.from(orientation.shell);
+    let holesClosed = 0;
+    let edgesClosed = 0;
+    if (closeHoles) {
+      holes.loops.forEach(loop => {
+        if (loop.vertices.length > maxHoleEdges) return;
+        fillHole(loop, vertices, triangles, triangleShells);
+        holesClosed++;
+        edgesClosed += loop.vertices.length;
+      });
+    }
+
+    // Step 4: Shells with negative volume face inward - turn them around
+    const shellVolumes = new Float64Array(orientation.shellCount);
+    for (let t = 0; t < triangles.length / 3; t++) {
+      shellVolumes[triangleShells[t]] += signedVolume(vertices, triangles, t);
+    }
+    let flippedTriangles = 0;
+    for (let t = 0; t < triangles.length / 3; t++) {
+      const inverted = shellVolumes[triangleShells[t]] < 0;
+      if (inverted) {
+        [triangles[t * 3 + 1], triangles[t * 3 + 2]] = [triangles[t * 3 + 2], triangles[t * 3 + 1]];
+      }
+      if (t < orientation.flip.length && (orientation.flip[t] === 1) !== inverted) flippedTriangles++;
+    }
+
+    // Step 5: Triangle list in millimetres with face normals
+    const scale = UNITS[unit];
+    const count = triangles.length / 3;
+    const output = new Float32Array(count * 9);
+    const normals = new Float32Array(count * 9);
+    for (let t = 0; t < count; t++) {
+      for (let k = 0; k < 3; k++) {
+        const vertex = triangles[t * 3 + k] * 3;
+        output[t * 9 + k * 3] = vertices[vertex] * scale;
+        output[t * 9 + k * 3 + 1] = vertices[vertex + 1] * scale;
+        output[t * 9 + k * 3 + 2] = vertices[vertex + 2] * scale;
+      }
+      const o = t * 9;
+      const ux = output[o + 3] - output[o], uy = output[o + 4] - output[o + 1], uz = output[o + 5] - output[o + 2];
+      const vx = output[o + 6] - output[o], vy = output[o + 7] - output[o + 1], vz = output[o + 8] - output[o + 2];
+      const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+      const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+      for (let k = 0; k < 3; k++) {
+        normals[o + k * 3] = nx / length;
+        normals[o + k * 3 + 1] = ny / length;
+        normals[o + k * 3 + 2] = nz / length;
+      }
+    }
+
+    const boundaryEdges = holes.boundaryEdges - edgesClosed;
+    return {
+      positions: output,
+      normals,
+      unit,
+      detection,
+      analysis: scope.PrinjektMeshImport.analyze(output),
+      report: {
+        inputTriangles: positions.length / 9,
+        triangles: count,
+        weldedVertices: positions.length / 3 - inputVertexCount,
+        degenerateTriangles: cleaned.degenerate,
+        duplicateTriangles: cleaned.duplicate,
+        flippedTriangles,
+        shells: orientation.shellCount,
+        holes: holes.loops.length + holes.openChains,
+        holesClosed,
+        boundaryEdges,
+        nonManifoldEdges: holes.nonManifoldEdges,
+        // Volume is exact only for closed meshes
+        watertight: boundaryEdges === 0 && holes.nonManifoldEdges === 0
+      }
+    };
+  }
+
+  // ========== WORKER ==========
+  // Inside a pool worker - positions are copied in, the results are transferred back
+  if (scope.PrinjektWorkerPool) {
+    scope.PrinjektWorkerPool.register('repair', ({ positions, options }) => repair(positions, options));
+  }
+
+  // ========== EXPORT ==========
+  scope.PrinjektMeshRepair = {
+    repair,
+    detectUnit,
+    UNITS
+  };
+
+  console.log('[Prinjekt Mesh Repair] Module loaded');
+
+})(typeof window !== 'undefined' ? window : self);
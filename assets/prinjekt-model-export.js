@@ -0,0 +1,310 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - MODEL EXPORT
+ * ============================================================================
+ * Headless file writers for the decoded model geometry, used by the master logic:
+ * - Binary STL
+ * - ASCII STL
+ * - OBJ
+ * - 3MF (core spec, millimetre units, parameter set embedded as metadata)
+ * Input is the raw BufferGeometry in part coordinates (Z up, millimetres).
+ * NO UI, NO Three.js dependency - only the position/index arrays are read.
+ * Usage:
+ * const blob = PrinjektModelExport.write('3mf', geometry, { name, metadata, configuration });
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  const FORMATS = {
+    stl: { extension: 'stl', mimeType: 'model/stl' },
+    'stl-ascii': { extension: 'stl', mimeType: 'model/stl' },
+    obj: { extension: 'obj', mimeType: 'model/obj' },
+    '3mf': { extension: '3mf', mimeType: 'model/3mf' }
+  };
+
+  // ========== GEOMETRY ==========
+  /**
+   * Shared vertices and triangles of a geometry (degenerate triangles dropped)
+   * @returns {Object} { positions, triangles: Uint32Array, count }
+   */
+  function readMesh(geometry) {
+    const positions = geometry.attributes.position.array;
+    const index = geometry.index ? geometry.index.array : null;
+    const length = index ? index.length : positions.length / 3;
+    const triangles = new Uint32Array(length - (length % 3));
+    let count = 0;
+
+    for (let i = 0; i + 2 < length; i += 3) {
+      const a = index ? index[i] : i;
+      const b = index ? index[i + 1] : i + 1;
+      const c = index ? index[i + 2] : i + 2;
+      if (a === b || b === c || a === c) continue;
+      triangles[count * 3] = a;
+      triangles[count * 3 + 1] = b;
+      triangles[count * 3 + 2] = c;
+      count++;
+    }
+    return { positions, triangles: triangles.subarray(0, count * 3), count };
+  }
+
+  function faceNormal(positions, a, b, c) {
+    const abx = positions[b * 3] - positions[a * 3], aby = positions[b * 3 + 1] - positions[a * 3 + 1], abz = positions[b * 3 + 2] - positions[a * 3 + 2];
+    const acx = positions[c * 3] - positions[a * 3], acy = positions[c * 3 + 1] - positions[a * 3 + 1], acz = positions[c * 3 + 2] - positions[a * 3 + 2];
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    return [nx / length, ny / length, nz / length];
+  }
+
+  const num = (value) => String(Math.round(value * 1e6) / 1e6);
+
+  function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, (char) => ({
+      '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+  }
+
+  // ========== STL ==========
+  function writeBinaryStl(geometry, options) {
+    const { positions, triangles, count } = readMesh(geometry);
+    const buffer = new ArrayBuffer(84 + count * 50);
+    const view = new DataView(buffer);
+
+    // 80 byte header - must not start with "solid" (ASCII STL marker)
+    const header = new TextEncoder().encode(`Prinjekt binary STL, units: mm - ${options.name || ''}`.slice(0, 80));
+    new Uint8Array(buffer, 0, 80).set(header);
+    view.setUint32(80, count, true);
+
+    let offset = 84;
+    for (let t = 0; t < count; t++) {
+      const a = triangles[t * 3], b = triangles[t * 3 + 1], c = triangles[t * 3 + 2];
+      faceNormal(positions, a, b, c).forEach(value => {
+        view.setFloat32(offset, value, true);
+        offset += 4;
+      });
+      [a, b, c].forEach(v => {
+        for (let axis = 0; axis < 3; axis++) {
+          view.setFloat32(offset, positions[v * 3 + axis], true);
+          offset += 4;
+        }
+      });
+      view.setUint16(offset, 0, true);
+      offset += 2;
+    }
+    return new Blob([buffer], { type: FORMATS.stl.mimeType });
+  }
+
+  function writeAsciiStl(geometry, options) {
+    const { positions, triangles, count } = readMesh(geometry);
+    const name = (options.name || 'prinjekt').replace(/\s+/g, '_');
+    const lines = [`solid ${name}`];
+
+    for (let t = 0; t < count; t++) {
+      const a = triangles[t * 3], b = triangles[t * 3 + 1], c = triangles[t * 3 + 2];
+      lines.push(`  facet normal ${faceNormal(positions, a, b, c).map(num).join(' ')}`, '    outer loop');
+      [a, b, c].forEach(v => {
+        lines.push(`      vertex ${num(positions[v * 3])} ${num(positions[v * 3 + 1])} ${num(positions[v * 3 + 2])}`);
+      });
+      lines.push('    endloop', '  endfacet');
+    }
+    lines.push(`endsolid ${name}`, '');
+    return new Blob([lines.join('\n')], { type: FORMATS['stl-ascii'].mimeType });
+  }
+
+  // ========== OBJ ==========
+  function writeObj(geometry, options) {
+    const { positions, triangles, count } = readMesh(geometry);
+    const lines = ['# Prinjekt Configurator export', '# Units: millimetres'];
+    Object.entries(options.metadata || {}).forEach(([key, value]) => {
+      lines.push(`# ${key}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+    });
+    lines.push(`o ${(options.name || 'prinjekt').replace(/\s+/g, '_')}`);
+
+    for (let v = 0; v < positions.length / 3; v++) {
+      lines.push(`v ${num(positions[v * 3])} ${num(positions[v * 3 + 1])} ${num(positions[v * 3 + 2])}`);
+    }
+    for (let t = 0; t < count; t++) {
+      // OBJ indices are 1-based
+      lines.push(`f ${triangles[t * 3] + 1} ${triangles[t * 3 + 1] + 1} ${triangles[t * 3 + 2] + 1}`);
+    }
+    lines.push('');
+    return new Blob([lines.join('\n')], { type: FORMATS.obj.mimeType });
+  }
+
+  // ========== 3MF ==========
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Minimal ZIP writer (stored entries, no compression)
+   * @param {Array<Object>} files - [{ name, data: Uint8Array }]
+   * @returns {Blob} ZIP archive
+   */
+  function writeZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);            // version needed
+      local.setUint16(8, 0, true);             // method: stored
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local.buffer, name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014B50, true);
+      entry.setUint16(4, 20, true);            // version made by
+      entry.setUint16(6, 20, true);            // version needed
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, file.data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: FORMATS['3mf'].mimeType });
+  }
+
+  function write3mf(geometry, options) {
+    const { positions, triangles, count } = readMesh(geometry);
+    const encoder = new TextEncoder();
+
+    // Only vertices referenced by a triangle are written
+    const used = new Int32Array(positions.length / 3).fill(-1);
+    const vertices = [];
+    for (let i = 0; i < count * 3; i++) {
+      const v = triangles[i];
+      if (used[v] !== -1) continue;
+      used[v] = vertices.length;
+      vertices.push(`<vertex x="${num(positions[v * 3])}" y="${num(positions[v * 3 + 1])}" z="${num(positions[v * 3 + 2])}"/>`);
+    }
+    const faces = [];
+    for (let t = 0; t < count; t++) {
+      faces.push(`<triangle v1="${used[triangles[t * 3]]}" v2="${used[triangles[t * 3 + 1]]}" v3="${used[triangles[t * 3 + 2]]}"/>`);
+    }
+
+    // Custom metadata names must be namespace qualified
+    const metadata = [
+      `<metadata name="Title">${escapeXml(options.name || 'Prinjekt model')}</metadata>`,
+      '<metadata name="Application">Prinjekt Configurator</metadata>',
+      `<metadata name="CreationDate">${new Date().toISOString().split('T')[0]}</metadata>`,
+      ...Object.entries(options.metadata || {}).map(([key, value]) => (
+        `<metadata name="prinjekt:${escapeXml(key.replace(/[^\w.-]/g, '_'))}" preserve="1">${escapeXml(value)}</metadata>`
+      ))
+    ];
+
+    const model = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02" xmlns:prinjekt="https://prinjekt.de/3mf/2024">',
+      ...metadata,
+      '<resources>',
+      '<object id="1" type="model">',
+      '<mesh>',
+      `<vertices>${vertices.join('')}</vertices>`,
+      `<triangles>${faces.join('')}</triangles>`,
+      '</mesh>',
+      '</object>',
+      '</resources>',
+      '<build><item objectid="1"/></build>',
+      '</model>'
+    ].join('\n');
+
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        data: encoder.encode([
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+          '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>',
+          '<Default Extension="json" ContentType="application/json"/>',
+          '</Types>'
+        ].join('\n'))
+      },
+      {
+        name: '_rels/.rels',
+        data: encoder.encode([
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+          '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>',
+          '</Relationships>'
+        ].join('\n'))
+      },
+      { name: '3D/3dmodel.model', data: encoder.encode(model) }
+    ];
+
+    // Full configuration file alongside the model (re-importable via "Load Configuration")
+    if (options.configuration) {
+      files.push({ name: 'Metadata/prinjekt-config.json', data: encoder.encode(JSON.stringify(options.configuration, null, 2)) });
+    }
+    return writeZip(files);
+  }
+
+  // ========== PUBLIC API ==========
+  const WRITERS = {
+    stl: writeBinaryStl,
+    'stl-ascii': writeAsciiStl,
+    obj: writeObj,
+    '3mf': write3mf
+  };
+
+  /**
+   * Write a geometry in one of the supported formats
+   * @param {string} format - 'stl' (binary), 'stl-ascii', 'obj' or '3mf'
+   * @param {THREE.BufferGeometry} geometry - Geometry in part coordinates (Z up, mm)
+   * @param {Object} [options] - { name, metadata: { key: value }, configuration }
+   * @returns {Blob} File contents
+   */
+  function write(format, geometry, options = {}) {
+    const writer = WRITERS[format];
+    if (!writer) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    return writer(geometry, options);
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektModelExport = { write, FORMATS };
+
+  console.log('[Prinjekt Export] Module loaded');
+
+})(window);
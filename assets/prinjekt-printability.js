@@ -0,0 +1,357 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - PRINTABILITY ANALYSIS
+ * ============================================================================
+ * Headless mesh checks for generated models, used by the master logic:
+ * - Overhangs beyond a configurable angle (faces resting on the bed excluded)
+ * - Walls thinner than the nozzle minimum (sampled inward raycasts)
+ * - Open / non-manifold edges (mesh not watertight)
+ * - Bounding box exceeding the printer's build volume
+ * Works on the raw BufferGeometry in part coordinates (Z up, millimetres).
+ * NO UI, NO Three.js dependency - only the position/index arrays are read,
+ * so it also runs in the geometry workers (prinjekt-geometry-tasks.js).
+ * Usage:
+ * const report = PrinjektPrintability.analyze(geometry, { overhangAngle: 45 });
+ * report.warnings  -> [{ code, severity, message, ... }]
+ * report.faceFlags -> Uint8Array, FLAGS bits per triangle
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  const DEFAULTS = {
+    overhangAngle: 45,                         // degrees from vertical
+    minWallThickness: 0.8,                     // mm
+    buildVolume: { x: 250, y: 210, z: 220 },   // mm
+    bedTolerance: 0.05,                        // mm - faces this close to the bottom rest on the bed
+    maxWallSamples: 20000,                     // thin wall raycasts per model
+    weldTolerance: 1e-4                        // mm - vertex merge for edge topology
+  };
+
+  const FLAGS = {
+    OVERHANG: 1,
+    THIN_WALL: 2,
+    NON_MANIFOLD: 4
+  };
+
+  // ========== GEOMETRY ==========
+  /**
+   * Per-face normals, centroids and areas plus the bounding box
+   */
+  function readFaces(geometry) {
+    const positions = geometry.attributes.position.array;
+    const index = geometry.index ? geometry.index.array : null;
+    const faceCount = Math.floor((index ? index.length : positions.length / 3) / 3);
+
+    const corners = new Uint32Array(faceCount * 3);
+    const normals = new Float32Array(faceCount * 3);
+    const centroids = new Float32Array(faceCount * 3);
+    const areas = new Float32Array(faceCount);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let f = 0; f < faceCount; f++) {
+      for (let c = 0; c < 3; c++) {
+        const v = index ? index[f * 3 + c] : f * 3 + c;
+        corners[f * 3 + c] = v;
+        for (let axis = 0; axis < 3; axis++) {
+          const value = positions[v * 3 + axis];
+          if (value < min[axis]) min[axis] = value;
+          if (value > max[axis]) max[axis] = value;
+        }
+      }
+
+      const a = corners[f * 3] * 3;
+      const b = corners[f * 3 + 1] * 3;
+      const c = corners[f * 3 + 2] * 3;
+      const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+      const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+      const nx = aby * acz - abz * acy;
+      const ny = abz * acx - abx * acz;
+      const nz = abx * acy - aby * acx;
+      const length = Math.hypot(nx, ny, nz);
+
+      areas[f] = length / 2;
+      if (length > 0) {
+        normals[f * 3] = nx / length;
+        normals[f * 3 + 1] = ny / length;
+        normals[f * 3 + 2] = nz / length;
+      }
+      for (let axis = 0; axis < 3; axis++) {
+        centroids[f * 3 + axis] = (positions[a + axis] + positions[b + axis] + positions[c + axis]) / 3;
+      }
+    }
+
+    return { positions, corners, normals, centroids, areas, faceCount, min, max };
+  }
+
+  // ========== CHECKS ==========
+  /**
+   * Downward facing faces steeper than the overhang limit
+   * @returns {number} Overhanging surface area (mm²)
+   */
+  function checkOverhangs(mesh, options, flags) {
+    // Overhang angle is measured from vertical: 0° wall, 90° ceiling
+    const limit = Math.sin(options.overhangAngle * Math.PI / 180);
+    const bed = mesh.min[2] + options.bedTolerance;
+    const { positions, corners, normals, areas } = mesh;
+    let area = 0;
+
+    for (let f = 0; f < mesh.faceCount; f++) {
+      if (-normals[f * 3 + 2] <= limit) continue;
+      const onBed = [0, 1, 2].every(c => positions[corners[f * 3 + c] * 3 + 2] <= bed);
+      if (onBed) continue;
+      flags[f] |= FLAGS.OVERHANG;
+      area += areas[f];
+    }
+    return area;
+  }
+
+  /**
+   * Edges not shared by exactly two faces (after welding duplicate vertices)
+   * @returns {number} Number of open or non-manifold edges
+   */
+  function checkManifold(mesh, options, flags) {
+    const { positions, corners } = mesh;
+    const welded = new Map();
+    const vertexIds = new Uint32Array(positions.length / 3);
+    for (let v = 0; v < vertexIds.length; v++) {
+      const key = `${Math.round(positions[v * 3] / options.weldTolerance)},${Math.round(positions[v * 3 + 1] / options.weldTolerance)},${Math.round(positions[v * 3 + 2] / options.weldTolerance)}`;
+      if (!welded.has(key)) welded.set(key, welded.size);
+      vertexIds[v] = welded.get(key);
+    }
+
+    const vertexCount = welded.size;
+    const edgeKey = (a, b) => (a < b ? a * vertexCount + b : b * vertexCount + a);
+    const edgeCounts = new Map();
+    const faceEdges = (f) => {
+      const a = vertexIds[corners[f * 3]];
+      const b = vertexIds[corners[f * 3 + 1]];
+      const c = vertexIds[corners[f * 3 + 2]];
+      // Degenerate faces have no valid edges
+      if (a === b || b === c || a === c) return [];
+      return [edgeKey(a, b), edgeKey(b, c), edgeKey(c, a)];
+    };
+
+    for (let f = 0; f < mesh.faceCount; f++) {
+      faceEdges(f).forEach(key => edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1));
+    }
+
+    let badEdges = 0;
+    edgeCounts.forEach(count => {
+      if (count !== 2) badEdges++;
+    });
+    if (badEdges > 0) {
+      for (let f = 0; f < mesh.faceCount; f++) {
+        if (faceEdges(f).some(key => edgeCounts.get(key) !== 2)) {
+          flags[f] |= FLAGS.NON_MANIFOLD;
+        }
+      }
+    }
+    return badEdges;
+  }
+
+  /**
+   * Uniform grid of faces for short-range raycasts
+   */
+  function buildFaceGrid(mesh, cellSize) {
+    const { positions, corners } = mesh;
+    const dims = [0, 1, 2].map(axis => Math.max(1, Math.ceil((mesh.max[axis] - mesh.min[axis]) / cellSize)));
+    const cells = new Map();
+    const cellOf = (value, axis) => Math.min(dims[axis] - 1, Math.max(0, Math.floor((value - mesh.min[axis]) / cellSize)));
+
+    for (let f = 0; f < mesh.faceCount; f++) {
+      const lo = [Infinity, Infinity, Infinity];
+      const hi = [-Infinity, -Infinity, -Infinity];
+      for (let c = 0; c < 3; c++) {
+        for (let axis = 0; axis < 3; axis++) {
+          const value = positions[corners[f * 3 + c] * 3 + axis];
+          lo[axis] = Math.min(lo[axis], value);
+          hi[axis] = Math.max(hi[axis], value);
+        }
+      }
+      for (let x = cellOf(lo[0], 0); x <= cellOf(hi[0], 0); x++) {
+        for (let y = cellOf(lo[1], 1); y <= cellOf(hi[1], 1); y++) {
+          for (let z = cellOf(lo[2], 2); z <= cellOf(hi[2], 2); z++) {
+            const key = (x * dims[1] + y) * dims[2] + z;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(f);
+          }
+        }
+      }
+    }
+
+    return { cells, dims, cellOf };
+  }
+
+  /**
+   * Möller-Trumbore ray/triangle intersection
+   * @returns {number} Distance along the ray or -1
+   */
+  function intersectFace(mesh, f, origin, dir) {
+    const { positions, corners } = mesh;
+    const a = corners[f * 3] * 3;
+    const b = corners[f * 3 + 1] * 3;
+    const c = corners[f * 3 + 2] * 3;
+    const e1 = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+    const e2 = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+    const p = [dir[1] * e2[2] - dir[2] * e2[1], dir[2] * e2[0] - dir[0] * e2[2], dir[0] * e2[1] - dir[1] * e2[0]];
+    const det = e1[0] * p[0] + e1[1] * p[1] + e1[2] * p[2];
+    if (Math.abs(det) < 1e-12) return -1;
+
+    const inv = 1 / det;
+    const t0 = [origin[0] - positions[a], origin[1] - positions[a + 1], origin[2] - positions[a + 2]];
+    const u = (t0[0] * p[0] + t0[1] * p[1] + t0[2] * p[2]) * inv;
+    if (u < 0 || u > 1) return -1;
+    const q = [t0[1] * e1[2] - t0[2] * e1[1], t0[2] * e1[0] - t0[0] * e1[2], t0[0] * e1[1] - t0[1] * e1[0]];
+    const v = (dir[0] * q[0] + dir[1] * q[1] + dir[2] * q[2]) * inv;
+    if (v < 0 || u + v > 1) return -1;
+    return (e2[0] * q[0] + e2[1] * q[1] + e2[2] * q[2]) * inv;
+  }
+
+  /**
+   * Cast a short ray inward from (sampled) faces - hitting the opposite
+   * side of the wall within minWallThickness means the wall is too thin.
+   * @returns {Object} { sampled, thinFaces, minThickness }
+   */
+  function checkWallThickness(mesh, options, flags) {
+    const minWall = options.minWallThickness;
+    const size = Math.max(mesh.max[0] - mesh.min[0], mesh.max[1] - mesh.min[1], mesh.max[2] - mesh.min[2]);
+    const grid = buildFaceGrid(mesh, Math.max(minWall * 2, size / 64));
+    const { normals, centroids, areas } = mesh;
+    const stride = Math.max(1, Math.ceil(mesh.faceCount / options.maxWallSamples));
+    const stamps = new Int32Array(mesh.faceCount).fill(-1);
+    const epsilon = minWall * 1e-3;
+    let sampled = 0;
+    let thinFaces = 0;
+    let minThickness = Infinity;
+
+    for (let f = 0; f < mesh.faceCount; f += stride) {
+      if (areas[f] === 0) continue;
+      sampled++;
+
+      const dir = [-normals[f * 3], -normals[f * 3 + 1], -normals[f * 3 + 2]];
+      const origin = [centroids[f * 3], centroids[f * 3 + 1], centroids[f * 3 + 2]];
+      const end = origin.map((value, axis) => value + dir[axis] * minWall);
+
+      let nearest = Infinity;
+      for (let x = grid.cellOf(Math.min(origin[0], end[0]), 0); x <= grid.cellOf(Math.max(origin[0], end[0]), 0); x++) {
+        for (let y = grid.cellOf(Math.min(origin[1], end[1]), 1); y <= grid.cellOf(Math.max(origin[1], end[1]), 1); y++) {
+          for (let z = grid.cellOf(Math.min(origin[2], end[2]), 2); z <= grid.cellOf(Math.max(origin[2], end[2]), 2); z++) {
+            const candidates = grid.cells.get((x * grid.dims[1] + y) * grid.dims[2] + z);
+            if (!candidates) continue;
+            for (const g of candidates) {
+              if (g === f || stamps[g] === f) continue;
+              stamps[g] = f;
+              // Only the opposite side of the wall counts (normal facing away from us)
+              if (normals[g * 3] * normals[f * 3] + normals[g * 3 + 1] * normals[f * 3 + 1] + normals[g * 3 + 2] * normals[f * 3 + 2] >= 0) continue;
+              const t = intersectFace(mesh, g, origin, dir);
+              if (t > epsilon && t < nearest) nearest = t;
+            }
+          }
+        }
+      }
+
+      if (nearest < minWall) {
+        flags[f] |= FLAGS.THIN_WALL;
+        thinFaces++;
+        minThickness = Math.min(minThickness, nearest);
+      }
+    }
+
+    return { sampled, thinFaces, minThickness: isFinite(minThickness) ? minThickness : null };
+  }
+
+  /**
+   * Bounding box against the build volume (turning the part on the bed is allowed)
+   */
+  function checkBuildVolume(mesh, options) {
+    const size = { x: mesh.max[0] - mesh.min[0], y: mesh.max[1] - mesh.min[1], z: mesh.max[2] - mesh.min[2] };
+    const volume = options.buildVolume;
+    const fitsFlat = (size.x <= volume.x && size.y <= volume.y) || (size.x <= volume.y && size.y <= volume.x);
+    return { size, fits: fitsFlat && size.z <= volume.z };
+  }
+
+  // ========== PUBLIC API ==========
+  const mm = (value) => `${value >= 100 ? value.toFixed(0) : value.toFixed(1)}`;
+
+  /**
+   * Analyze a decoded geometry
+   * @param {THREE.BufferGeometry} geometry - Geometry in part coordinates (Z up, mm)
+   * @param {Object} [options] - See DEFAULTS
+   * @returns {Object} { warnings, faceFlags, stats }
+   */
+  function analyze(geometry, options = {}) {
+    const opts = {
+      ...DEFAULTS,
+      ...options,
+      buildVolume: { ...DEFAULTS.buildVolume, ...(options.buildVolume || {}) }
+    };
+    const started = Date.now();
+    const mesh = readFaces(geometry);
+    const flags = new Uint8Array(mesh.faceCount);
+    const warnings = [];
+
+    const totalArea = mesh.areas.reduce((sum, area) => sum + area, 0) || 1;
+    const overhangArea = checkOverhangs(mesh, opts, flags);
+    const badEdges = checkManifold(mesh, opts, flags);
+    const walls = checkWallThickness(mesh, opts, flags);
+    const build = checkBuildVolume(mesh, opts);
+
+    if (!build.fits) {
+      const v = opts.buildVolume;
+      warnings.push({
+        code: 'build_volume',
+        severity: 'error',
+        message: `Part (${mm(build.size.x)} × ${mm(build.size.y)} × ${mm(build.size.z)} mm) exceeds the build volume (${v.x} × ${v.y} × ${v.z} mm)`,
+        size: build.size
+      });
+    }
+    if (walls.thinFaces > 0) {
+      warnings.push({
+        code: 'thin_wall',
+        severity: 'warning',
+        message: `Walls down to ${walls.minThickness.toFixed(2)} mm are thinner than the ${opts.minWallThickness} mm minimum`,
+        minThickness: walls.minThickness
+      });
+    }
+    if (overhangArea > 0) {
+      const percent = overhangArea / totalArea * 100;
+      warnings.push({
+        code: 'overhang',
+        severity: 'warning',
+        message: `${percent < 1 ? '<1' : percent.toFixed(0)}% of the surface overhangs more than ${opts.overhangAngle}° and needs support`,
+        area: overhangArea
+      });
+    }
+    if (badEdges > 0) {
+      warnings.push({
+        code: 'non_manifold',
+        severity: 'warning',
+        message: `${badEdges} open or non-manifold edges - the mesh is not watertight`,
+        edges: badEdges
+      });
+    }
+
+    const stats = {
+      faces: mesh.faceCount,
+      size: build.size,
+      surfaceArea: totalArea,
+      overhangArea,
+      nonManifoldEdges: badEdges,
+      wallSamples: walls.sampled,
+      minWallThickness: walls.minThickness,
+      durationMs: Date.now() - started
+    };
+    console.log('[Prinjekt Printability] Analysis done:', stats);
+
+    return { warnings, faceFlags: flags, stats };
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektPrintability = { analyze, FLAGS, DEFAULTS };
+
+  console.log('[Prinjekt Printability] Module loaded');
+
+})(typeof window !== 'undefined' ? window : self);
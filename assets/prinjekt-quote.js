@@ -0,0 +1,420 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - QUOTE DOCUMENT
+ * ============================================================================
+ * Headless PDF writer for formal quotes (business customers), used by the
+ * master logic:
+ * - A4, standard Helvetica fonts (WinAnsiEncoding, no font embedding)
+ * - JPEG thumbnail embedded as-is (DCTDecode)
+ * - Seller, customer, configuration, price table with VAT, validity
+ * NO UI, NO PDF library - the document is assembled byte by byte.
+ * Usage:
+ * const blob = await PrinjektQuote.createPdf(quote, labels);
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  // ========== LAYOUT ==========
+  const PAGE_WIDTH = 595.28; // A4 in pt
+  const PAGE_HEIGHT = 841.89;
+  const MARGIN = 50;
+  const FOOTER_HEIGHT = 30;
+  const FONT_SIZE = 10;
+  const LINE_HEIGHT = 14;
+  const THUMBNAIL_MAX = { width: 240, height: 180 };
+  const COLUMNS = { quantity: 330, unitPrice: 430, total: PAGE_WIDTH - MARGIN };
+
+  const DEFAULT_LABELS = {
+    title: 'Quote',
+    number: 'Quote number',
+    date: 'Date',
+    validUntil: 'Valid until',
+    customer: 'Customer',
+    vatId: 'VAT ID',
+    reference: 'Your reference',
+    configuration: 'Configuration',
+    description: 'Description',
+    quantity: 'Quantity',
+    unitPrice: 'Unit price',
+    total: 'Total',
+    net: 'Net total',
+    vat: 'VAT',
+    gross: 'Total incl. VAT',
+    notes: 'Notes',
+    page: 'Page',
+    yes: 'Yes',
+    draft: 'Draft',
+    draftNotice: 'This quote is not registered yet - the number is provisional. Please send it to us to receive a binding quote.',
+    validity: 'This quote is valid until {date}. Prices are calculated for the configuration shown above.'
+  };
+
+  // Helvetica advance widths (1/1000 em) for ASCII 32-126 - Helvetica-Bold is approximated
+  const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ];
+  const BOLD_FACTOR = 1.06;
+
+  // Characters outside Latin-1 that WinAnsiEncoding can show
+  const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, ' ': 0x20
+  };
+
+  // ========== TEXT ==========
+  /**
+   * Text as WinAnsi byte string (one char per byte), unknown characters become '?'
+   */
+  function encodeText(text) {
+    let encoded = '';
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      if (WIN_ANSI[char] !== undefined) {
+        encoded += String.fromCharCode(WIN_ANSI[char]);
+      } else if (char.length === 1 && ((code >= 32 && code < 127) || (code >= 160 && code < 256))) {
+        encoded += char;
+      } else {
+        encoded += '?';
+      }
+    }
+    return encoded;
+  }
+
+  function textWidth(encoded, size, bold) {
+    let units = 0;
+    for (let i = 0; i < encoded.length; i++) {
+      const code = encoded.charCodeAt(i);
+      units += code >= 32 && code < 127 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return (units * size / 1000) * (bold ? BOLD_FACTOR : 1);
+  }
+
+  /**
+   * Break text into lines that fit maxWidth (explicit line breaks are kept)
+   * @returns {Array<string>} Plain lines - encoded once, by QuoteLayout.text
+   */
+  function wrapText(text, size, maxWidth, bold) {
+    const lines = [];
+    String(text).split(/\r?\n/).forEach(paragraph => {
+      let line = '';
+      paragraph.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && textWidth(encodeText(candidate), size, bold) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  function num(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  // ========== PAGE CONTENT ==========
+  class QuoteLayout {
+    constructor() {
+      this.pages = [];
+      this.addPage();
+    }
+
+    addPage() {
+      this.ops = [];
+      this.pages.push(this.ops);
+      this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    /**
+     * Start a new page if the next block does not fit
+     */
+    ensure(height) {
+      if (this.y - height < MARGIN + FOOTER_HEIGHT) {
+        this.addPage();
+      }
+    }
+
+    text(x, y, text, { size = FONT_SIZE, bold = false, align = 'left', gray = 0 } = {}) {
+      const encoded = encodeText(text);
+      const left = align === 'right' ? x - textWidth(encoded, size, bold) : x;
+      const escaped = encoded.replace(/[\\()]/g, '\\$&');
+      this.ops.push(`BT ${gray} g /${bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${num(y)} Td (${escaped}) Tj ET`);
+    }
+
+    /**
+     * Wrapped paragraph at the cursor, advances the cursor
+     */
+    paragraph(text, { x = MARGIN, width = PAGE_WIDTH - 2 * MARGIN, size = FONT_SIZE, bold = false, gray = 0 } = {}) {
+      wrapText(text, size, width, bold).forEach(line => {
+        this.ensure(LINE_HEIGHT);
+        this.y -= LINE_HEIGHT;
+        this.text(x, this.y, line, { size, bold, gray });
+      });
+    }
+
+    rule(gray = 0.8) {
+      this.ops.push(`${gray} G 0.5 w ${MARGIN} ${num(this.y)} m ${num(PAGE_WIDTH - MARGIN)} ${num(this.y)} l S`);
+    }
+
+    image(name, x, y, width, height) {
+      this.ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(y)} cm /${name} Do Q`);
+    }
+  }
+
+  // ========== JPEG ==========
+  /**
+   * Pixel size and colour components from the JPEG frame header
+   * @returns {Object|null} { width, height, components }
+   */
+  function readJpegInfo(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xFF) return null;
+      const marker = bytes[offset + 1];
+      const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+      // SOF0-SOF15 without DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return {
+          height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+          width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+          components: bytes[offset + 9]
+        };
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  // ========== DOCUMENT ==========
+  function layoutQuote(quote, labels, image) {
+    const layout = new QuoteLayout();
+    const money = (value) => new Intl.NumberFormat(quote.locale, { style: 'currency', currency: quote.currencyCode }).format(value);
+    const date = (value) => new Date(value).toLocaleDateString(quote.locale);
+    const right = PAGE_WIDTH - MARGIN;
+
+    // Header - title left, seller right
+    const title = quote.draft ? `${labels.title} (${labels.draft})` : labels.title;
+    layout.text(MARGIN, layout.y - 20, title, { size: 20, bold: true });
+    let sellerY = layout.y;
+    String(quote.seller || '').split(/\r?\n/).filter(Boolean).forEach((line, index) => {
+      sellerY -= LINE_HEIGHT - 2;
+      layout.text(right, sellerY, line, { size: 8, bold: index === 0, align: 'right', gray: 0.3 });
+    });
+    layout.y = Math.min(layout.y - 36, sellerY - 12);
+
+    // Quote number, date, validity
+    [[labels.number, quote.number], [labels.date, date(quote.date)], [labels.validUntil, date(quote.validUntil)]].forEach(([label, value]) => {
+      layout.y -= LINE_HEIGHT;
+      layout.text(MARGIN, layout.y, label, { gray: 0.4 });
+      layout.text(MARGIN + 110, layout.y, value, { bold: label === labels.number });
+    });
+    // Not registered with the backend - the number must not pass for an official one
+    if (quote.draft) {
+      layout.y -= LINE_HEIGHT;
+      layout.paragraph(labels.draftNotice, { bold: true, gray: 0.3 });
+    }
+
+    // Customer
+    const customer = quote.customer || {};
+    layout.y -= LINE_HEIGHT;
+    layout.paragraph(labels.customer, { bold: true });
+    [customer.company, customer.contact, customer.address, customer.email, customer.phone]
+      .filter(Boolean)
+      .forEach(value => layout.paragraph(value));
+    if (customer.vatId) layout.paragraph(`${labels.vatId}: ${customer.vatId}`);
+    if (customer.reference) layout.paragraph(`${labels.reference}: ${customer.reference}`);
+
+    // Thumbnail and configuration
+    layout.y -= LINE_HEIGHT;
+    layout.ensure(LINE_HEIGHT * 2);
+    layout.paragraph(quote.productTitle || labels.configuration, { size: 12, bold: true });
+    layout.y -= 6;
+    if (image) {
+      const scale = Math.min(THUMBNAIL_MAX.width / image.width, THUMBNAIL_MAX.height / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+      layout.ensure(height);
+      layout.image('Im1', MARGIN, layout.y - height, width, height);
+      layout.y -= height + 6;
+    }
+    (quote.rows || []).forEach(row => {
+      // Helvetica has no check mark - yes/no parameters are shown as ✓ / –
+      const shown = row.value === '✓' ? labels.yes : row.value;
+      const value = `${shown}${row.unit ? ' ' + row.unit : ''}`;
+      const lines = wrapText(value, FONT_SIZE, right - MARGIN - 180, false);
+      layout.ensure(lines.length * LINE_HEIGHT);
+      layout.y -= LINE_HEIGHT;
+      layout.text(MARGIN, layout.y, row.label, { gray: 0.4 });
+      lines.forEach((line, index) => {
+        if (index > 0) layout.y -= LINE_HEIGHT;
+        layout.text(MARGIN + 180, layout.y, line);
+      });
+    });
+
+    // Price table (net prices)
+    layout.y -= LINE_HEIGHT * 2;
+    layout.ensure(LINE_HEIGHT * 8);
+    layout.text(MARGIN, layout.y, labels.description, { bold: true });
+    layout.text(COLUMNS.quantity, layout.y, labels.quantity, { bold: true, align: 'right' });
+    layout.text(COLUMNS.unitPrice, layout.y, labels.unitPrice, { bold: true, align: 'right' });
+    layout.text(COLUMNS.total, layout.y, labels.total, { bold: true, align: 'right' });
+    layout.y -= 6;
+    layout.rule();
+    layout.y -= LINE_HEIGHT;
+    const description = wrapText(quote.productTitle || labels.configuration, FONT_SIZE, COLUMNS.quantity - MARGIN - 60, false);
+    layout.text(MARGIN, layout.y, description[0]);
+    layout.text(COLUMNS.quantity, layout.y, String(quote.quantity), { align: 'right' });
+    layout.text(COLUMNS.unitPrice, layout.y, money(quote.unitPrice), { align: 'right' });
+    layout.text(COLUMNS.total, layout.y, money(quote.net), { align: 'right' });
+    description.slice(1).forEach(line => {
+      layout.y -= LINE_HEIGHT;
+      layout.text(MARGIN, layout.y, line);
+    });
+    layout.y -= 8;
+    layout.rule();
+
+    [
+      [labels.net, quote.net, false],
+      [`${labels.vat} ${quote.vatRate}%`, quote.vat, false],
+      [labels.gross, quote.gross, true]
+    ].forEach(([label, value, bold]) => {
+      layout.y -= LINE_HEIGHT + (bold ? 4 : 0);
+      layout.text(COLUMNS.unitPrice, layout.y, label, { bold, align: 'right' });
+      layout.text(COLUMNS.total, layout.y, money(value), { bold, align: 'right' });
+    });
+
+    // Notes, validity, terms
+    if (customer.notes) {
+      layout.y -= LINE_HEIGHT;
+      layout.paragraph(labels.notes, { bold: true });
+      layout.paragraph(customer.notes);
+    }
+    layout.y -= LINE_HEIGHT;
+    layout.paragraph(labels.validity.replace('{date}', date(quote.validUntil)), { size: 9, gray: 0.3 });
+    if (quote.terms) {
+      layout.y -= 6;
+      layout.paragraph(quote.terms, { size: 8, gray: 0.4 });
+    }
+
+    // Footer on every page
+    layout.pages.forEach((ops, index) => {
+      layout.ops = ops;
+      layout.text(MARGIN, MARGIN - 10, quote.number, { size: 8, gray: 0.5 });
+      layout.text(right, MARGIN - 10, `${labels.page} ${index + 1} / ${layout.pages.length}`, { size: 8, gray: 0.5, align: 'right' });
+    });
+
+    return layout.pages;
+  }
+
+  function toBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+
+  /**
+   * Serialize PDF objects (1-based ids in array order) with cross-reference table
+   * @param {Array<Object>} objects - { dict } or { dict, stream: Uint8Array }
+   * @returns {Array<Uint8Array>} File chunks
+   */
+  function serialize(objects, infoId) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const push = (data) => {
+      const chunk = typeof data === 'string' ? toBytes(data) : data;
+      chunks.push(chunk);
+      length += chunk.length;
+    };
+
+    push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    objects.forEach((object, index) => {
+      offsets.push(length);
+      push(`${index + 1} 0 obj\n`);
+      if (object.stream) {
+        push(`<< ${object.dict} /Length ${object.stream.length} >>\nstream\n`);
+        push(object.stream);
+        push('\nendstream\nendobj\n');
+      } else {
+        push(`${object.dict}\nendobj\n`);
+      }
+    });
+
+    const xrefOffset = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    return chunks;
+  }
+
+  /**
+   * Render a quote as PDF
+   * @param {Object} quote - { number, draft, date, validUntil, locale, currencyCode, seller, terms, customer, productTitle,
+   *   rows: [{ label, value, unit }], quantity, unitPrice, net, vatRate, vat, gross, thumbnail: Blob (JPEG) }
+   * @param {Object} [labels] - Overrides for DEFAULT_LABELS
+   * @returns {Promise<Blob>} application/pdf
+   */
+  async function createPdf(quote, labels = {}) {
+    const text = { ...DEFAULT_LABELS, ...labels };
+
+    let image = null;
+    if (quote.thumbnail && quote.thumbnail.type === 'image/jpeg') {
+      const bytes = new Uint8Array(await quote.thumbnail.arrayBuffer());
+      const info = readJpegInfo(bytes);
+      if (info && (info.components === 1 || info.components === 3)) {
+        image = { ...info, bytes };
+      } else {
+        console.warn('[Prinjekt Quote] Thumbnail skipped - unsupported JPEG');
+      }
+    }
+
+    const pages = layoutQuote(quote, text, image);
+
+    // 1 catalog, 2 page tree, 3-4 fonts, 5 info, 6 image, then page + content per page
+    const firstPageId = image ? 7 : 6;
+    const pageIds = pages.map((ops, index) => firstPageId + index * 2);
+    const resources = `<< /Font << /F1 3 0 R /F2 4 0 R >>${image ? ' /XObject << /Im1 6 0 R >>' : ''} >>`;
+    const title = encodeText(`${text.title}${quote.draft ? ` (${text.draft})` : ''} ${quote.number}`).replace(/[\\()]/g, '\\$&');
+
+    const objects = [
+      { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+      { dict: `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>` },
+      { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>' },
+      { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>' },
+      { dict: `<< /Title (${title}) /Producer (Prinjekt Configurator) >>` }
+    ];
+    if (image) {
+      objects.push({
+        dict: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.components === 1 ? 'DeviceGray' : 'DeviceRGB'} /BitsPerComponent 8 /Filter /DCTDecode`,
+        stream: image.bytes
+      });
+    }
+    pages.forEach((ops, index) => {
+      objects.push({ dict: `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources ${resources} /Contents ${pageIds[index] + 1} 0 R >>` });
+      objects.push({ dict: '', stream: toBytes(ops.join('\n')) });
+    });
+
+    return new Blob(serialize(objects, 5), { type: 'application/pdf' });
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektQuote = {
+    createPdf,
+    DEFAULT_LABELS
+  };
+
+  console.log('[Prinjekt Quote] Module loaded');
+
+})(window);
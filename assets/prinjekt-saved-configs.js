@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - SAVED CONFIGURATIONS
+ * ============================================================================
+ * Headless client for named configurations stored in the customer account,
+ * shared by the configurator sections and the account page:
+ * - list / get / save / rename / duplicate / delete
+ * - cart line for a saved configuration (variant created by the backend)
+ * Requests are tied to the logged-in customer by an HMAC signature that the
+ * theme renders from `customer.id` and the shared secret (theme settings).
+ * Usage:
+ * const client = new PrinjektSavedConfigs({ apiBase, customerId, signature });
+ * const configs = await client.list();
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  /**
+   * Saved configuration as returned by the backend (snake_case) -> camelCase
+   */
+  function normalizeRecord(record) {
+    return {
+      id: String(record.id),
+      name: record.name || '',
+      productGid: record.product_gid || record.productGid || null,
+      productUrl: record.product_url || record.productUrl || null,
+      productTitle: record.product_title || record.productTitle || '',
+      thumbnailUrl: record.thumbnail_url || record.thumbnailUrl || null,
+      price: record.price !== undefined && record.price !== null ? parseFloat(record.price) : null,
+      currencyCode: record.currency_code || record.currencyCode || null,
+      summary: record.summary || '',
+      configuration: record.configuration || null,
+      createdAt: record.created_at || record.createdAt || null,
+      updatedAt: record.updated_at || record.updatedAt || record.created_at || record.createdAt || null
+    };
+  }
+
+  class PrinjektSavedConfigs {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiBase - Base URL for backend API
+     * @param {string|number} options.customerId - Shopify customer id
+     * @param {string} options.signature - HMAC of the customer id (rendered by Liquid)
+     */
+    constructor(options) {
+      if (!options.apiBase) throw new Error('apiBase is required');
+      if (!options.customerId || !options.signature) throw new Error('customer is required');
+
+      this.apiBase = options.apiBase;
+      this.customerId = String(options.customerId);
+      this.signature = options.signature;
+    }
+
+    /**
+     * All saved configurations of the customer, newest first
+     * @param {string} [productGid] - Only configurations of this product
+     * @returns {Promise<Array<Object>>} Saved configurations (without configuration body)
+     */
+    async list(productGid) {
+      const query = productGid ? `?product_gid=${encodeURIComponent(productGid)}` : '';
+      const data = await this._request('GET', `/saved_configs${query}`);
+      return ((data && data.configs) || data || []).map(normalizeRecord);
+    }
+
+    /**
+     * One saved configuration including its configuration file
+     * @param {string} id - Saved configuration id
+     * @returns {Promise<Object>} Saved configuration
+     */
+    async get(id) {
+      return normalizeRecord(await this._request('GET', `/saved_configs/${encodeURIComponent(id)}`));
+    }
+
+    /**
+     * Save a configuration under a name
+     * @param {Object} entry - { name, productGid, productUrl, productTitle, configuration, summary, price, currencyCode, thumbnail: Blob }
+     * @returns {Promise<Object>} Created saved configuration
+     */
+    async save(entry) {
+      const body = new FormData();
+      body.append('name', entry.name);
+      body.append('product_gid', entry.productGid);
+      if (entry.productUrl) body.append('product_url', entry.productUrl);
+      if (entry.productTitle) body.append('product_title', entry.productTitle);
+      body.append('configuration', JSON.stringify(entry.configuration));
+      body.append('summary', entry.summary || '');
+      if (entry.price !== undefined && entry.price !== null) body.append('price', String(entry.price));
+      if (entry.currencyCode) body.append('currency_code', entry.currencyCode);
+      if (entry.thumbnail) body.append('thumbnail', entry.thumbnail, 'thumbnail.png');
+
+      return normalizeRecord(await this._request('POST', '/saved_configs', body));
+    }
+
+    /**
+     * Rename a saved configuration
+     * @param {string} id - Saved configuration id
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated saved configuration
+     */
+    async rename(id, name) {
+      return normalizeRecord(await this._request('PATCH', `/saved_configs/${encodeURIComponent(id)}`, { name }));
+    }
+
+    /**
+     * Copy a saved configuration (thumbnail and price included)
+     * @param {string} id - Saved configuration id
+     * @param {string} [name] - Name of the copy
+     * @returns {Promise<Object>} New saved configuration
+     */
+    async duplicate(id, name) {
+      return normalizeRecord(await this._request('POST', `/saved_configs/${encodeURIComponent(id)}/duplicate`, name ? { name } : {}));
+    }
+
+    /**
+     * Delete a saved configuration
+     * @param {string} id - Saved configuration id
+     */
+    async remove(id) {
+      await this._request('DELETE', `/saved_configs/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Variant and line item properties to add a saved configuration to the cart
+     * The backend re-prices the configuration and creates the variant (as /create_variant).
+     * @param {string} id - Saved configuration id
+     * @returns {Promise<Object>} { variantId, quantity, properties }
+     */
+    async cartLine(id) {
+      const data = await this._request('POST', `/saved_configs/${encodeURIComponent(id)}/cart_line`, {});
+      return {
+        variantId: String(data.variant_id || data.variantId).replace('gid://shopify/ProductVariant/', ''),
+        quantity: parseInt(data.quantity, 10) || 1,
+        properties: data.properties || {}
+      };
+    }
+
+    async _request(method, path, body) {
+      const headers = {
+        'Accept': 'application/json',
+        'X-Customer-Id': this.customerId,
+        'X-Customer-Signature': this.signature
+      };
+      const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+      if (body !== undefined && !isForm) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      const response = await fetch(`${this.apiBase}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : (isForm ? body : JSON.stringify(body))
+      });
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`Saved configurations: HTTP ${response.status}${errorText ? ` - ${errorText}` : ''}`);
+      }
+      return response.status === 204 ? null : response.json();
+    }
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektSavedConfigs = PrinjektSavedConfigs;
+
+  console.log('[Prinjekt Saved Configs] Module loaded');
+
+})(window);
@@ -0,0 +1,210 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - THREE.JS LOADER
+ * ============================================================================
+ * One loader for the pinned 3D libraries, shared by the master logic, the
+ * upload tool and configurator.js:
+ * - Three.js r128 (UMD build), OrbitControls, DRACOLoader, STLLoader
+ * - DRACO decoder 1.5.7 (WASM + JS fallback) for DRACOLoader and the geometry workers
+ * - Theme-hosted copies first when the theme settings enable them (snippets/prinjekt-three.liquid),
+ *   pinned CDNs as fallback
+ * - Three.js revision verified after loading - a source with another build is skipped
+ * - Addons download in parallel with Three.js and run once it is ready
+ * Every library is loaded once per page, whoever asks first.
+ * Usage:
+ * const THREE = await PrinjektThree.load(['three', 'orbit', 'draco']);
+ * const decoderPath = await PrinjektThree.decoderPath();
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  const THREE_VERSION = '0.128.0';
+  const THREE_REVISION = '128';
+  const DRACO_VERSION = '1.5.7';
+  const SCRIPT_TIMEOUT = 15000;
+
+  // Fallback sources in order - theme assets (window.PrinjektThreeSources) are tried first
+  const LIBRARIES = {
+    three: {
+      file: 'three.min.js',
+      loaded: () => !!window.THREE && window.THREE.REVISION === THREE_REVISION,
+      cdn: [
+        `https://cdn.jsdelivr.net/npm/three@${THREE_VERSION}/build/three.min.js`,
+        `https://cdnjs.cloudflare.com/ajax/libs/three.js/r${THREE_REVISION}/three.min.js`,
+        `https://unpkg.com/three@${THREE_VERSION}/build/three.min.js`
+      ]
+    },
+    orbit: {
+      file: 'examples/js/controls/OrbitControls.js',
+      loaded: () => typeof window.THREE.OrbitControls === 'function'
+    },
+    draco: {
+      file: 'examples/js/loaders/DRACOLoader.js',
+      loaded: () => typeof window.THREE.DRACOLoader === 'function'
+    },
+    stl: {
+      file: 'examples/js/loaders/STLLoader.js',
+      loaded: () => typeof window.THREE.STLLoader === 'function'
+    }
+  };
+
+  const DECODER_CDN = [
+    `https://www.gstatic.com/draco/versioned/decoders/${DRACO_VERSION}/`,
+    `https://cdn.jsdelivr.net/npm/draco3d@${DRACO_VERSION}/`
+  ];
+
+  function cdnSources(name) {
+    const library = LIBRARIES[name];
+    return library.cdn || [
+      `https://cdn.jsdelivr.net/npm/three@${THREE_VERSION}/${library.file}`,
+      `https://unpkg.com/three@${THREE_VERSION}/${library.file}`
+    ];
+  }
+
+  /**
+   * Theme-hosted first, then the CDNs
+   * @returns {Array<string>}
+   */
+  function sourcesFor(name) {
+    const theme = (window.PrinjektThreeSources || {})[name];
+    return (theme ? [theme] : []).concat(cdnSources(name));
+  }
+
+  function injectScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      const timer = setTimeout(() => {
+        script.remove();
+        reject(new Error(`Timed out loading ${src}`));
+      }, SCRIPT_TIMEOUT);
+      script.onload = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      script.onerror = () => {
+        clearTimeout(timer);
+        script.remove();
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Download hint - the addons are fetched while Three.js itself is still loading
+   */
+  function preload(src) {
+    if (document.querySelector(`link[rel="preload"][href="${src}"]`)) return;
+    const link = document.createElement('link');
+    link.rel = 'preload';
+    link.as = 'script';
+    link.href = src;
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Try the sources of one library until one loads and passes the version check
+   */
+  async function loadLibrary(name) {
+    const library = LIBRARIES[name];
+    const errors = [];
+    for (const src of sourcesFor(name)) {
+      try {
+        await injectScript(src);
+        if (library.loaded()) {
+          console.log(`[Prinjekt Three] ✓ ${name} loaded from ${src}`);
+          return;
+        }
+        errors.push(`${src}: unexpected version`);
+      } catch (error) {
+        errors.push(error.message);
+      }
+      console.warn(`[Prinjekt Three] ${name} unavailable from ${src} - trying next source`);
+    }
+    throw new Error(`Could not load ${name} (${errors.join('; ')})`);
+  }
+
+  const pending = {};
+
+  function ensure(name) {
+    if (!pending[name]) {
+      pending[name] = loadLibrary(name);
+      // A failed library may be retried by the next caller
+      pending[name].catch(() => { delete pending[name]; });
+    }
+    return pending[name];
+  }
+
+  async function loadThree() {
+    if (window.THREE && !pending.three) {
+      // Another script put Three.js on the page first - it cannot be replaced without breaking that script
+      if (window.THREE.REVISION !== THREE_REVISION) {
+        console.warn(`[Prinjekt Three] Page already has Three.js r${window.THREE.REVISION}, expected r${THREE_REVISION}`);
+      }
+      return;
+    }
+    await ensure('three');
+  }
+
+  // ========== API ==========
+  /**
+   * Load Three.js and addons - resolved immediately for what is already on the page
+   * @param {Array<string>} [names] - Any of three, orbit, draco, stl
+   * @returns {Promise<Object>} window.THREE
+   */
+  async function load(names = ['three', 'orbit', 'draco']) {
+    const addons = names.filter(name => name !== 'three');
+    addons.forEach(name => {
+      if (!LIBRARIES[name]) throw new Error(`Unknown library "${name}"`);
+    });
+    if (!window.THREE) {
+      addons.forEach(name => preload(sourcesFor(name)[0]));
+    }
+    await loadThree();
+    await Promise.all(addons.filter(name => !LIBRARIES[name].loaded()).map(ensure));
+    return window.THREE;
+  }
+
+  let decoderPathPromise = null;
+
+  /**
+   * DRACO decoder directory (trailing slash) - the first source that serves the decoder
+   * @returns {Promise<string>}
+   */
+  function decoderPath() {
+    if (!decoderPathPromise) {
+      decoderPathPromise = (async () => {
+        const theme = (window.PrinjektThreeSources || {}).decoder;
+        // Absolute - the geometry workers import the decoder from a blob URL
+        const candidates = (theme ? [new URL(theme.replace(/[^/]*$/, ''), window.location.href).href] : []).concat(DECODER_CDN);
+        for (const path of candidates) {
+          try {
+            const response = await fetch(path + 'draco_wasm_wrapper.js', { method: 'HEAD' });
+            if (response.ok) return path;
+          } catch (error) {
+            // Offline or blocked - next source
+          }
+          console.warn(`[Prinjekt Three] DRACO decoder unavailable from ${path} - trying next source`);
+        }
+        // Nothing reachable right now - keep the pinned default and let decoding report the error
+        return DECODER_CDN[0];
+      })();
+    }
+    return decoderPathPromise;
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektThree = {
+    load,
+    decoderPath,
+    THREE_VERSION,
+    DRACO_VERSION
+  };
+
+  console.log('[Prinjekt Three] Module loaded');
+
+})(window);
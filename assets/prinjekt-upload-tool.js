@@ -0,0 +1,963 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - UPLOAD TOOL
+ * ============================================================================
+ * Headless logic for the upload-and-quote section (customer's own files):
+ * - File list with client-side analysis (prinjekt-mesh-import.js)
+ * - Mesh repair and unit detection in a Web Worker (prinjekt-mesh-repair.js)
+ * - Three.js preview of the selected file or of all parts side by side
+ * - Print settings per part (material, colour, finish, infill, layer height, quantity),
+ *   bulk-editable across checked parts
+ * - Price per part from the backend, project summary with per-part breakdown
+ * - One cart line per part - a project is added at once, its lines share a project ID
+ * NO UI COMPONENTS - the section renders state from onStateChange.
+ * Usage:
+ * const tool = new PrinjektUploadTool({ apiBase, productGid, canvas, onStateChange });
+ * await tool.initialize();
+ * await tool.addFiles(input.files);
+ * ============================================================================
+ */
+
+(function(window) {
+  'use strict';
+
+  const DEFAULT_SETTINGS = { infill: 20, layerHeight: 0.2, quantity: 1 };
+  const PRICE_DELAY = 400;
+  const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+  const THUMBNAIL_SIZE = 400;
+  const MODEL_COLOR = '#9CA3AF';
+  // Space between parts in the project view (mm)
+  const PART_GAP = 10;
+
+  const DEFAULT_LABELS = {
+    file: 'File',
+    project: 'Project',
+    material: 'Material',
+    color: 'Colour',
+    finish: 'Finish',
+    infill: 'Infill',
+    layerHeight: 'Layer height',
+    size: 'Size',
+    volume: 'Volume'
+  };
+
+  function formatNumber(value, digits = 1) {
+    return String(Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits));
+  }
+
+  /**
+   * Short project reference shown to the customer, e.g. "P-LZ4K2A-7QX"
+   */
+  function createProjectId() {
+    const random = Math.random().toString(36).slice(2, 5).toUpperCase().padEnd(3, '0');
+    return `P-${Date.now().toString(36).toUpperCase()}-${random}`;
+  }
+
+  function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  class PrinjektUploadTool {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiBase - Base URL for backend API
+     * @param {string} options.productGid - Shopify product the upload variants are created on
+     * @param {HTMLCanvasElement} options.canvas - Canvas for the preview
+     * @param {Array<Object>} [options.materials] - Shared material catalogue (snippets/prinjekt-materials.liquid, see normalizeMaterials), first one is the default
+     * @param {Array<Object>} [options.finishes] - [{ id, name }], first one is the default
+     * @param {Object} [options.defaults] - Default print settings { infill, layerHeight, quantity }
+     * @param {number} [options.maxFileSize=104857600] - Maximum file size in bytes
+     * @param {Object} [options.buildVolume] - Printer build volume { x, y, z } in mm
+     * @param {Object} [options.repair] - Mesh repair options { closeHoles, maxHoleEdges }
+     * @param {Array<string>} [options.workerScripts] - URLs of prinjekt-worker-pool.js, prinjekt-mesh-import.js and prinjekt-mesh-repair.js for the repair workers
+     * @param {Object} [options.labels] - Labels of the cart line details (see DEFAULT_LABELS)
+     * @param {string} [options.backgroundColor='#F3F4F6'] - Viewer background
+     * @param {Function} [options.onStateChange] - Callback for state changes
+     * @param {Function} [options.onError] - Callback for errors
+     */
+    constructor(options) {
+      if (!options.apiBase) throw new Error('apiBase is required');
+      if (!options.productGid) throw new Error('productGid is required');
+      if (!options.canvas) throw new Error('canvas element is required');
+      if (!window.PrinjektMeshImport) throw new Error('prinjekt-mesh-import.js is required');
+      if (!window.PrinjektMeshRepair) throw new Error('prinjekt-mesh-repair.js is required');
+      if (!window.PrinjektApi) throw new Error('prinjekt-api-client.js is required');
+      if (!window.PrinjektThree) throw new Error('prinjekt-three-loader.js is required');
+
+      this.apiBase = options.apiBase;
+      this.productGid = options.productGid;
+      this.canvas = options.canvas;
+      this.materials = window.PrinjektConfigurator.normalizeMaterials(options.materials);
+      this.finishes = (options.finishes || []).filter(finish => finish && finish.name)
+        .map(finish => ({ id: String(finish.id || finish.name), name: String(finish.name) }));
+      this.defaults = { ...DEFAULT_SETTINGS, ...(options.defaults || {}) };
+      this.maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+      this.buildVolume = options.buildVolume || null;
+      this.repairOptions = { closeHoles: true, ...(options.repair || {}) };
+      this.workerScripts = options.workerScripts || null;
+      this.labels = { ...DEFAULT_LABELS, ...(options.labels || {}) };
+      this.backgroundColor = options.backgroundColor || '#F3F4F6';
+      this.api = new window.PrinjektApi.PrinjektApiClient();
+
+      this.onStateChange = options.onStateChange || (() => {});
+      this.onError = options.onError || ((error) => console.error('[Prinjekt Upload]', error));
+
+      this.state = {
+        initialized: false,
+        files: [],
+        selectedId: null,
+        checkedIds: [],
+        viewAll: false,
+        project: { id: createProjectId(), name: '' },
+        adding: false,
+        error: null
+      };
+
+      // Per file: { file, original, positions } - kept out of state (large)
+      this.sources = new Map();
+      // Per file: { key, line } - uploaded and variant created, not in the cart yet (reused on retry)
+      this.preparedLines = new Map();
+      this.workerPool = null;
+      this.priceTimers = new Map();
+      this.priceRequests = new Map();
+      this.fileCounter = 0;
+
+      this.scene = null;
+      this.camera = null;
+      this.renderer = null;
+      this.controls = null;
+      this.previewMeshes = [];
+      this.animationFrameId = null;
+    }
+
+    // ========== INITIALIZATION ==========
+    /**
+     * Load Three.js (shared loader, see prinjekt-three-loader.js) and set up the preview
+     */
+    async initialize() {
+      try {
+        await window.PrinjektThree.load(['three', 'orbit']);
+        this._initViewer();
+        if (this.workerScripts && window.PrinjektWorkerPool && typeof Worker !== 'undefined') {
+          try {
+            this.workerPool = new window.PrinjektWorkerPool.WorkerPool(this.workerScripts);
+          } catch (error) {
+            console.warn('[Prinjekt Upload] Repair workers unavailable - repairing on the main thread:', error.message);
+          }
+        }
+        this.updateState({ initialized: true });
+        console.log('[Prinjekt Upload] ✓ Initialized');
+        return true;
+      } catch (error) {
+        this.handleError('Initialization failed', error);
+        return false;
+      }
+    }
+
+    _initViewer() {
+      const THREE = window.THREE;
+      this.scene = new THREE.Scene();
+      this.scene.background = new THREE.Color(this.backgroundColor);
+
+      this.camera = new THREE.PerspectiveCamera(45, this.canvas.clientWidth / this.canvas.clientHeight, 0.1, 5000);
+      this.camera.position.set(200, 150, 200);
+
+      // preserveDrawingBuffer - cart thumbnails are read back from the canvas
+      this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true, alpha: true, preserveDrawingBuffer: true });
+      this.renderer.setPixelRatio(window.devicePixelRatio);
+      this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight, false);
+
+      this.controls = new THREE.OrbitControls(this.camera, this.canvas);
+      this.controls.enableDamping = true;
+      this.controls.dampingFactor = 0.05;
+
+      this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+      const keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+      keyLight.position.set(5, 10, 7);
+      this.scene.add(keyLight);
+      const fillLight = new THREE.DirectionalLight(0xffffff, 0.4);
+      fillLight.position.set(-5, -10, -7.5);
+      this.scene.add(fillLight);
+      this.scene.add(new THREE.GridHelper(400, 40, 0x888888, 0xcccccc));
+
+      this.handleResize = () => {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height, false);
+      };
+      window.addEventListener('resize', this.handleResize);
+
+      const animate = () => {
+        this.animationFrameId = requestAnimationFrame(animate);
+        this.controls.update();
+        this.renderer.render(this.scene, this.camera);
+      };
+      animate();
+    }
+
+    // ========== FILES ==========
+    /**
+     * Add uploaded files - each one is analysed and priced on its own
+     * @param {FileList|Array<File>} fileList - Files from an input or drop event
+     * @returns {Promise<Object>} { accepted: [ids], rejected: [{ name, reason: 'type'|'size' }] }
+     */
+    async addFiles(fileList) {
+      const accepted = [];
+      const rejected = [];
+      Array.from(fileList).forEach(file => {
+        const format = window.PrinjektMeshImport.formatOf(file.name);
+        if (!format || file.size > this.maxFileSize) {
+          rejected.push({ name: file.name, reason: format ? 'size' : 'type' });
+          return;
+        }
+
+        const id = `file-${++this.fileCounter}`;
+        this.sources.set(id, { file, original: null, positions: null });
+        accepted.push({
+          id,
+          name: file.name,
+          size: file.size,
+          format,
+          status: 'analyzing',
+          analysis: null,
+          // File unit (mm, cm, m, inch) and repair report - meshes only, STEP is measured by the backend
+          unit: null,
+          detectedUnit: null,
+          repair: null,
+          fitsBuildVolume: true,
+          settings: {
+            materialId: this.materials[0] ? this.materials[0].id : null,
+            color: this.materials[0] ? this.materials[0].colors[0].hex : null,
+            finishId: this.finishes[0] ? this.finishes[0].id : null,
+            infill: this.defaults.infill,
+            layerHeight: this.defaults.layerHeight,
+            quantity: this.defaults.quantity
+          },
+          price: null,
+          error: null
+        });
+      });
+      if (accepted.length === 0) return { accepted: [], rejected };
+
+      this.updateState({
+        files: [...this.state.files, ...accepted],
+        selectedId: this.state.selectedId || accepted[0].id
+      });
+      await Promise.all(accepted.map(entry => this._analyzeFile(entry.id)));
+      return { accepted: accepted.map(entry => entry.id), rejected };
+    }
+
+    /**
+     * Parse, repair and measure a file in the browser - STEP is measured by the backend
+     */
+    async _analyzeFile(id) {
+      const source = this.sources.get(id);
+      const entry = this.getFile(id);
+      try {
+        let analysis;
+        if (window.PrinjektMeshImport.FORMATS[entry.format].preview) {
+          const mesh = await window.PrinjektMeshImport.parse(source.file, entry.format);
+          source.original = mesh.positions;
+          analysis = await this._repairFile(id, 'auto');
+        } else {
+          const body = new FormData();
+          body.append('shopify_id', this.productGid);
+          body.append('file', source.file, entry.name);
+          const response = await this.api.request(`${this.apiBase}/upload_analyze`, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' },
+            body,
+            idempotent: true,
+            timeout: 90000,
+            errorType: 'generation'
+          });
+          const data = await response.json();
+          analysis = {
+            volume: parseFloat(data.volume) || 0,
+            surfaceArea: parseFloat(data.surface_area) || 0,
+            boundingBox: { size: data.bounding_box || [0, 0, 0] },
+            triangleCount: null
+          };
+        }
+
+        await this._applyAnalysis(id, analysis);
+      } catch (error) {
+        console.error('[Prinjekt Upload] Analysis failed:', entry.name, error);
+        this._updateFile(id, { status: 'error', error: error.message });
+      }
+    }
+
+    /**
+     * Store the measurements, check the build volume and price the part
+     */
+    async _applyAnalysis(id, analysis) {
+      if (!this.sources.has(id)) return;
+      const size = analysis.boundingBox.size;
+      const fitsBuildVolume = !this.buildVolume || this._fitsBuildVolume(size);
+      this._updateFile(id, { analysis, fitsBuildVolume, status: fitsBuildVolume ? 'pricing' : 'error', error: fitsBuildVolume ? null : 'too-large' });
+      if (this.state.selectedId === id || this.state.viewAll) this._refreshPreview();
+      if (fitsBuildVolume) await this.requestPrice(id);
+    }
+
+    /**
+     * Repair the parsed mesh in the given unit - the repaired copy is previewed and priced
+     * @returns {Promise<Object>} Analysis of the repaired mesh (mm)
+     */
+    async _repairFile(id, unit) {
+      const source = this.sources.get(id);
+      const result = await this._repairMesh(source.original, { ...this.repairOptions, unit });
+      source.positions = result.positions;
+      if (this.sources.has(id)) {
+        this._updateFile(id, { unit: result.unit, detectedUnit: result.detection.unit, repair: result.report });
+      }
+      console.log('[Prinjekt Upload] Repaired:', this.getFile(id) ? this.getFile(id).name : id, result.unit, result.report);
+      return { ...result.analysis, triangleCount: result.report.triangles };
+    }
+
+    /**
+     * Repair in the worker - on the main thread if the worker is unavailable
+     */
+    async _repairMesh(positions, options) {
+      const pool = this.workerPool;
+      if (pool) {
+        try {
+          // Copied, not transferred - the original is kept for unit changes
+          return await pool.run('repair', { positions, options });
+        } catch (error) {
+          if (!pool.broken) throw error;
+          console.warn('[Prinjekt Upload] Repair worker failed - repairing on the main thread:', error.message);
+          if (this.workerPool === pool) this.workerPool = null;
+        }
+      }
+      return window.PrinjektMeshRepair.repair(positions, options);
+    }
+
+    /**
+     * Switch the unit the file was drawn in - the part is rescaled and priced again
+     * @param {string} id - File id
+     * @param {string} unit - mm, cm, m or inch
+     */
+    async setUnit(id, unit) {
+      const entry = this.getFile(id);
+      const source = this.sources.get(id);
+      if (!entry || !source || !source.original || !window.PrinjektMeshRepair.UNITS[unit] || entry.unit === unit) return;
+
+      this._updateFile(id, { status: 'analyzing', price: null, error: null });
+      try {
+        await this._applyAnalysis(id, await this._repairFile(id, unit));
+      } catch (error) {
+        console.error('[Prinjekt Upload] Rescaling failed:', entry.name, error);
+        this._updateFile(id, { status: 'error', error: error.message });
+      }
+    }
+
+    /**
+     * Part fits the printer in any axis-aligned orientation
+     */
+    _fitsBuildVolume(size) {
+      const part = [...size].sort((a, b) => a - b);
+      const printer = [this.buildVolume.x, this.buildVolume.y, this.buildVolume.z].sort((a, b) => a - b);
+      return part.every((value, index) => value <= printer[index]);
+    }
+
+    /**
+     * Remove a file from the list
+     * @param {string} id - File id
+     */
+    removeFile(id) {
+      clearTimeout(this.priceTimers.get(id));
+      this.priceTimers.delete(id);
+      this.sources.delete(id);
+      this.preparedLines.delete(id);
+      const files = this.state.files.filter(file => file.id !== id);
+      const selectedId = this.state.selectedId === id ? (files[0] ? files[0].id : null) : this.state.selectedId;
+      const checkedIds = this.state.checkedIds.filter(checkedId => checkedId !== id);
+      this.updateState({ files, selectedId, checkedIds });
+      this._refreshPreview();
+    }
+
+    /**
+     * Show a file in the preview - leaves the project view
+     * @param {string} id - File id
+     */
+    selectFile(id) {
+      if (!this.getFile(id)) return;
+      this.updateState({ selectedId: id, viewAll: false });
+      this._refreshPreview();
+    }
+
+    /**
+     * Show all parts side by side, or only the selected one
+     * @param {boolean} viewAll
+     */
+    setViewAll(viewAll) {
+      this.updateState({ viewAll: !!viewAll });
+      this._refreshPreview();
+    }
+
+    /**
+     * Check or uncheck a part for bulk editing
+     * @param {string} id - File id
+     * @param {boolean} checked
+     */
+    toggleChecked(id, checked) {
+      const checkedIds = this.state.checkedIds.filter(checkedId => checkedId !== id);
+      if (checked && this.getFile(id)) checkedIds.push(id);
+      this.updateState({ checkedIds });
+    }
+
+    /**
+     * Replace the checked parts, e.g. select all / none
+     * @param {Array<string>} ids - File ids
+     */
+    setChecked(ids) {
+      this.updateState({ checkedIds: ids.filter(id => this.getFile(id)) });
+    }
+
+    /**
+     * Change print settings of a file - the price follows after a short delay
+     * @param {string} id - File id
+     * @param {Object} changes - { materialId, color, finishId, infill, layerHeight, quantity }
+     */
+    updateSettings(id, changes) {
+      const entry = this.getFile(id);
+      if (!entry) return;
+      const settings = { ...entry.settings, ...changes };
+      settings.quantity = Math.max(1, parseInt(settings.quantity, 10) || 1);
+      // Colours belong to the material - fall back to its first colour
+      const material = this.materials.find(m => m.id === settings.materialId);
+      if (material && !material.colors.some(c => c.hex === settings.color)) {
+        settings.color = material.colors[0].hex;
+      }
+      // Unreadable or oversized files keep their error - a failed price is retried
+      const priceable = !!entry.analysis && entry.fitsBuildVolume;
+      this._updateFile(id, { settings, status: priceable ? 'pricing' : entry.status });
+      if ((changes.materialId !== undefined || changes.color !== undefined) && (this.state.selectedId === id || this.state.viewAll)) {
+        this._refreshPreview();
+      }
+      if (!priceable) return;
+
+      clearTimeout(this.priceTimers.get(id));
+      this.priceTimers.set(id, setTimeout(() => {
+        this.priceTimers.delete(id);
+        this.requestPrice(id);
+      }, PRICE_DELAY));
+    }
+
+    /**
+     * Apply the same settings to several parts (bulk edit)
+     * @param {Array<string>} ids - File ids, e.g. state.checkedIds
+     * @param {Object} changes - Settings to change, others stay per part
+     */
+    updateSettingsBulk(ids, changes) {
+      ids.forEach(id => this.updateSettings(id, changes));
+    }
+
+    /**
+     * Name the project - shown with the project ID on every cart line
+     * @param {string} name - Customer reference, e.g. "Gripper assembly"
+     */
+    setProjectName(name) {
+      this.updateState({ project: { ...this.state.project, name: String(name || '').trim() } });
+    }
+
+    /**
+     * Get one file entry
+     * @param {string} id - File id
+     * @returns {Object|null}
+     */
+    getFile(id) {
+      return this.state.files.find(file => file.id === id) || null;
+    }
+
+    _updateFile(id, changes) {
+      this.updateState({
+        files: this.state.files.map(file => (file.id === id ? { ...file, ...changes } : file))
+      });
+    }
+
+    // ========== PRICING ==========
+    /**
+     * Price of one file with its current settings
+     * @param {string} id - File id
+     * @returns {Promise<Object|null>} { unitPrice, total } - null if superseded or failed
+     */
+    async requestPrice(id) {
+      const entry = this.getFile(id);
+      if (!entry || !entry.analysis) return null;
+
+      // Only the newest request per file may set the price
+      const requestId = (this.priceRequests.get(id) || 0) + 1;
+      this.priceRequests.set(id, requestId);
+      this._updateFile(id, { status: 'pricing' });
+
+      try {
+        const { analysis, settings } = entry;
+        const response = await this.api.request(`${this.apiBase}/upload_price`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({
+            shopify_id: this.productGid,
+            format: entry.format,
+            volume: analysis.volume,
+            surface_area: analysis.surfaceArea,
+            bounding_box: analysis.boundingBox.size,
+            watertight: entry.repair ? entry.repair.watertight : null,
+            material: settings.materialId,
+            color: settings.color,
+            finish: settings.finishId,
+            infill: settings.infill,
+            layer_height: settings.layerHeight,
+            quantity: settings.quantity
+          }),
+          idempotent: true
+        });
+        const data = await response.json();
+        if (this.priceRequests.get(id) !== requestId || !this.getFile(id)) return null;
+
+        const unitPrice = roundMoney(parseFloat(data.unit_price || data.price));
+        if (!(unitPrice > 0)) {
+          throw new Error('No price returned');
+        }
+        const price = {
+          unitPrice,
+          total: data.total !== undefined ? parseFloat(data.total) : roundMoney(unitPrice * settings.quantity)
+        };
+        this._updateFile(id, { price, status: 'ready', error: null });
+        return price;
+      } catch (error) {
+        if (this.priceRequests.get(id) !== requestId || !this.getFile(id)) return null;
+        console.error('[Prinjekt Upload] Pricing failed:', entry.name, error);
+        this._updateFile(id, { price: null, status: 'error', error: error.message });
+        this.handleError('Failed to calculate price', error);
+        return null;
+      }
+    }
+
+    /**
+     * Sum of all priced files
+     * @returns {number}
+     */
+    getTotal() {
+      return roundMoney(this.state.files.reduce((sum, file) => sum + (file.price ? file.price.total : 0), 0));
+    }
+
+    /**
+     * Project total with per-part breakdown
+     * @returns {Object} { project, parts: [{ id, name, material, color, finish, quantity, unitPrice, total, status }], partCount, quantity, total, complete }
+     */
+    getProjectSummary() {
+      const parts = this.state.files.map(file => {
+        const material = this.materials.find(m => m.id === file.settings.materialId);
+        const color = material && material.colors.find(c => c.hex === file.settings.color);
+        const finish = this.finishes.find(f => f.id === file.settings.finishId);
+        return {
+          id: file.id,
+          name: file.name,
+          material: material ? material.name : null,
+          color: color ? color.name : null,
+          finish: finish ? finish.name : null,
+          quantity: file.settings.quantity,
+          unitPrice: file.price ? file.price.unitPrice : null,
+          total: file.price ? file.price.total : null,
+          status: file.status
+        };
+      });
+      return {
+        project: { ...this.state.project },
+        parts,
+        partCount: parts.length,
+        quantity: parts.reduce((sum, part) => sum + part.quantity, 0),
+        total: this.getTotal(),
+        // Every part priced - only then the project can go to the cart
+        complete: parts.length > 0 && parts.every(part => part.status === 'ready')
+      };
+    }
+
+    // ========== CART ==========
+    /**
+     * Add one file as a cart line: upload the file, create the variant, add it with its settings
+     * @param {string} id - File id
+     * @returns {Promise<Object>} Cart response
+     */
+    async addToCart(id) {
+      const line = await this._prepareCartLine(id);
+      const cartData = await this._addCartLines([line]);
+      this.preparedLines.delete(id);
+      console.log('[Prinjekt Upload] ✓ Added to cart:', this.getFile(id).name);
+      return cartData;
+    }
+
+    /**
+     * Add the whole project - every part must be priced. Parts are uploaded one after
+     * another, then added in a single request so the cart never holds half a project.
+     * Parts prepared before a failure are kept and reused by the next attempt.
+     * @returns {Promise<Object>} { added: [ids], failed: [{ id, error }] } - nothing is added if a part failed
+     */
+    async addProjectToCart() {
+      const summary = this.getProjectSummary();
+      if (!summary.complete) {
+        throw new Error('Every part needs a price before the project can be added');
+      }
+      const files = this.state.files;
+      // Check every part before the first upload - no variants for a project that cannot be added
+      files.forEach(file => this._checkCartLine(file.id));
+
+      const lines = [];
+      const failed = [];
+      this.updateState({ adding: true });
+      try {
+        for (let index = 0; index < files.length; index++) {
+          try {
+            const part = `${index + 1}/${files.length}`;
+            lines.push(await this._prepareCartLine(files[index].id, { ...summary.project, part }));
+          } catch (error) {
+            failed.push({ id: files[index].id, error });
+            break;
+          }
+        }
+        if (failed.length > 0) {
+          return { added: [], failed };
+        }
+
+        await this._addCartLines(lines);
+        files.forEach(file => this.preparedLines.delete(file.id));
+        console.log(`[Prinjekt Upload] ✓ Project ${summary.project.id} added to cart:`, files.length, 'parts');
+        this.updateState({ project: { id: createProjectId(), name: '' } });
+        return { added: files.map(file => file.id), failed };
+      } finally {
+        this.updateState({ adding: false });
+      }
+    }
+
+    /**
+     * Throw if a file cannot become a cart line
+     * @param {string} id - File id
+     * @returns {Object} File entry
+     */
+    _checkCartLine(id) {
+      const entry = this.getFile(id);
+      if (!entry || entry.status !== 'ready' || !entry.price || !this.sources.has(id)) {
+        throw new Error('File is not ready for the cart');
+      }
+      return entry;
+    }
+
+    /**
+     * Upload the file and create its variant - a line prepared earlier with the same
+     * settings, price and project is reused instead of uploading again
+     * @param {string} id - File id
+     * @param {Object} [project] - { id, name, part } for project lines
+     * @returns {Promise<Object>} Cart line { id, quantity, properties }
+     */
+    async _prepareCartLine(id, project = null) {
+      const entry = this._checkCartLine(id);
+      const { settings, analysis, price } = entry;
+      const key = JSON.stringify({ settings, unit: entry.unit, unitPrice: price.unitPrice, project });
+      const prepared = this.preparedLines.get(id);
+      if (prepared && prepared.key === key) {
+        return prepared.line;
+      }
+      const material = this.materials.find(m => m.id === settings.materialId) || null;
+      const color = material ? material.colors.find(c => c.hex === settings.color) : null;
+      const finish = this.finishes.find(f => f.id === settings.finishId) || null;
+
+      // Step 1: Upload the original file
+      const upload = new FormData();
+      upload.append('shopify_id', this.productGid);
+      upload.append('file', this.sources.get(id).file, entry.name);
+      const uploadResponse = await this.api.request(`${this.apiBase}/upload_file`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' },
+        body: upload,
+        timeout: 120000,
+        errorType: 'variant'
+      });
+      const uploaded = await uploadResponse.json();
+
+      // Step 2: Variant with the quoted unit price
+      const variantResponse = await this.api.request(`${this.apiBase}/create_variant`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          shopify_id: this.productGid,
+          upload: {
+            file_id: uploaded.file_id,
+            file_name: entry.name,
+            unit: entry.unit,
+            volume: analysis.volume,
+            infill: settings.infill,
+            layer_height: settings.layerHeight
+          },
+          price: price.unitPrice,
+          quantity: settings.quantity,
+          ...(settings.materialId && { material: settings.materialId }),
+          ...(settings.color && { color: settings.color }),
+          ...(settings.finishId && { finish: settings.finishId }),
+          return_json: true
+        }),
+        errorType: 'variant'
+      });
+      const variantData = await variantResponse.json();
+      const variant = variantData.variants?.[0] || variantData;
+      const variantId = String(variant.id || variant.variant_id || variant.variantId)
+        .replace('gid://shopify/ProductVariant/', '');
+
+      // Step 3: Cart line - same display properties as configured parts
+      const size = analysis.boundingBox.size.map(value => formatNumber(value)).join(' × ');
+      const rows = [
+        [this.labels.file, entry.name],
+        [this.labels.project, project ? [project.name, project.id].filter(Boolean).join(' · ') : null],
+        [this.labels.material, material ? material.name : null],
+        [this.labels.color, color ? color.name : null],
+        [this.labels.finish, finish ? finish.name : null],
+        [this.labels.infill, `${settings.infill} %`],
+        [this.labels.layerHeight, `${settings.layerHeight} mm`],
+        [this.labels.size, `${size} mm`],
+        [this.labels.volume, `${formatNumber(analysis.volume / 1000, 2)} cm³`]
+      ].filter(row => row[1]);
+
+      const properties = {
+        '_upload_file_id': String(uploaded.file_id),
+        '_upload_file_name': entry.name,
+        ...(entry.unit && { '_upload_unit': entry.unit }),
+        '_upload_infill': String(settings.infill),
+        '_upload_layer_height': String(settings.layerHeight),
+        '_upload_volume': String(analysis.volume),
+        '_config_unit_price': String(price.unitPrice),
+        '_config_quantity': String(settings.quantity),
+        '_config_summary': [material && material.name, color && color.name, finish && finish.name, `${settings.infill} %`]
+          .filter(Boolean).join(' · '),
+        '_config_details': rows.map(row => `${row[0]}: ${row[1]}`).join('\n')
+      };
+      if (material) {
+        properties['_config_material'] = material.name;
+        properties['_config_material_id'] = material.id;
+      }
+      if (color) {
+        properties['_config_color'] = color.name;
+      }
+      if (finish) {
+        properties['_config_finish'] = finish.name;
+        properties['_config_finish_id'] = finish.id;
+      }
+      // Cart, cart drawer and order page group the lines by _project_id (snippets/prinjekt-project-header.liquid)
+      if (project) {
+        properties['_project_id'] = project.id;
+        properties['_project_part'] = project.part;
+        if (project.name) properties['_project_name'] = project.name;
+      }
+      const thumbnailUrl = await this._uploadThumbnail(id, variantId);
+      if (thumbnailUrl) {
+        properties['_config_thumbnail'] = thumbnailUrl;
+      }
+
+      const line = { id: variantId, quantity: settings.quantity, properties };
+      this.preparedLines.set(id, { key, line });
+      return line;
+    }
+
+    /**
+     * Add prepared lines in one request - Shopify adds all of them or none
+     * @param {Array<Object>} items - Cart lines { id, quantity, properties }
+     * @returns {Promise<Object>} Cart response
+     */
+    async _addCartLines(items) {
+      const cartResponse = await this.api.request('/cart/add.js', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ items }),
+        errorType: 'cart',
+        validationStatus: []
+      });
+      return cartResponse.json();
+    }
+
+    /**
+     * Render the file and upload it as cart thumbnail - failures never block the cart
+     */
+    async _uploadThumbnail(id, variantId) {
+      try {
+        const image = await this._captureFile(id);
+        this._refreshPreview();
+        if (!image) return null;
+
+        const body = new FormData();
+        body.append('shopify_id', this.productGid);
+        body.append('variant_id', variantId);
+        body.append('image', image, `thumbnail-${variantId}.png`);
+        const response = await this.api.request(`${this.apiBase}/upload_thumbnail`, {
+          method: 'POST',
+          headers: { 'Accept': 'application/json' },
+          body
+        });
+        const data = await response.json();
+        // Absolute - the cart templates only show https thumbnails
+        return data.url ? new URL(data.url, this.apiBase).href : null;
+      } catch (error) {
+        console.warn('[Prinjekt Upload] Thumbnail upload failed:', error.message);
+        return null;
+      }
+    }
+
+    // ========== PREVIEW ==========
+    /**
+     * Show what the state asks for: all parts (project view) or the selected one
+     */
+    _refreshPreview() {
+      const ids = this.state.viewAll ? this.state.files.map(file => file.id) : [this.state.selectedId];
+      this._showFiles(ids.filter(Boolean));
+    }
+
+    /**
+     * Replace the preview meshes - part Z up becomes viewer Y up, standing on the grid.
+     * Several parts are laid out in a grid on the build plate, the camera frames all of them.
+     * @param {Array<string>} ids - File ids
+     */
+    _showFiles(ids) {
+      if (!this.scene) return;
+      const THREE = window.THREE;
+      this.previewMeshes.forEach(mesh => {
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+      });
+      this.previewMeshes = [];
+
+      ids.forEach(id => {
+        const source = this.sources.get(id);
+        if (!source || !source.positions) return;
+        const { settings } = this.getFile(id);
+        const material = this.materials.find(m => m.id === settings.materialId);
+
+        const geometry = new THREE.BufferGeometry();
+        // Copy - rotateX/translate work in place and the stored mesh is priced and reused
+        geometry.setAttribute('position', new THREE.BufferAttribute(source.positions.slice(), 3));
+        geometry.rotateX(-Math.PI / 2);
+        geometry.computeVertexNormals();
+        geometry.computeBoundingBox();
+        const box = geometry.boundingBox;
+        geometry.translate(-(box.min.x + box.max.x) / 2, -box.min.y, -(box.min.z + box.max.z) / 2);
+        geometry.computeBoundingBox();
+
+        this.previewMeshes.push(new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+          color: settings.color || MODEL_COLOR,
+          roughness: material ? material.roughness : 0.6,
+          metalness: material ? material.metalness : 0.1,
+          transparent: !!material && material.opacity < 1,
+          opacity: material ? material.opacity : 1
+        })));
+      });
+      if (this.previewMeshes.length === 0) return;
+
+      // Grid cells sized by the largest footprint
+      const columns = Math.ceil(Math.sqrt(this.previewMeshes.length));
+      const rows = Math.ceil(this.previewMeshes.length / columns);
+      const cell = this.previewMeshes.reduce((size, mesh) => {
+        const box = mesh.geometry.boundingBox;
+        return Math.max(size, box.max.x - box.min.x, box.max.z - box.min.z);
+      }, 0) + PART_GAP;
+      this.previewMeshes.forEach((mesh, index) => {
+        mesh.position.set(
+          ((index % columns) - (columns - 1) / 2) * cell,
+          0,
+          (Math.floor(index / columns) - (rows - 1) / 2) * cell
+        );
+        this.scene.add(mesh);
+      });
+
+      const bounds = new THREE.Box3();
+      this.previewMeshes.forEach(mesh => bounds.expandByObject(mesh));
+      const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+      const distance = (sphere.radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov) / 2)) * 1.2;
+      this.controls.target.copy(sphere.center);
+      this.camera.position.copy(sphere.center).add(new THREE.Vector3(1, 0.7, 1).normalize().multiplyScalar(distance));
+      this.camera.far = Math.max(5000, distance * 4);
+      this.camera.updateProjectionMatrix();
+      this.controls.update();
+    }
+
+    /**
+     * Square PNG of a file from the current camera angle
+     * @returns {Promise<Blob|null>}
+     */
+    async _captureFile(id) {
+      if (!this.sources.get(id) || !this.sources.get(id).positions) return null;
+      this._showFiles([id]);
+      this.renderer.render(this.scene, this.camera);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = THUMBNAIL_SIZE;
+      canvas.height = THUMBNAIL_SIZE;
+      const side = Math.min(this.canvas.width, this.canvas.height);
+      canvas.getContext('2d').drawImage(
+        this.canvas,
+        (this.canvas.width - side) / 2, (this.canvas.height - side) / 2, side, side,
+        0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE
+      );
+      return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    // ========== STATE MANAGEMENT ==========
+    updateState(updates) {
+      this.state = { ...this.state, ...updates };
+      this.onStateChange(this.state);
+    }
+
+    getState() {
+      return { ...this.state };
+    }
+
+    // ========== ERROR HANDLING ==========
+    handleError(message, error) {
+      const errorObj = {
+        message,
+        error: error.message || error,
+        type: error.type || null,
+        detail: error.detail || null,
+        timestamp: new Date().toISOString()
+      };
+      this.updateState({ error: errorObj });
+      this.onError(errorObj);
+      console.error(`[Prinjekt Upload] ${message}:`, error);
+    }
+
+    // ========== CLEANUP ==========
+    destroy() {
+      cancelAnimationFrame(this.animationFrameId);
+      this.priceTimers.forEach(timer => clearTimeout(timer));
+      this.priceTimers.clear();
+      if (this.workerPool) {
+        this.workerPool.terminate();
+        this.workerPool = null;
+      }
+      if (this.handleResize) {
+        window.removeEventListener('resize', this.handleResize);
+      }
+      this._showFiles([]);
+      if (this.controls) this.controls.dispose();
+      if (this.renderer) this.renderer.dispose();
+      this.sources.clear();
+      this.preparedLines.clear();
+    }
+  }
+
+  // ========== EXPORT ==========
+  window.PrinjektUploadTool = PrinjektUploadTool;
+
+  console.log('[Prinjekt Upload] Module loaded');
+
+})(window);
@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ * PRINJEKT CONFIGURATOR - WORKER POOL
+ * ============================================================================
+ * Reusable Web Worker pool for geometry work off the main thread:
+ * - Workers are blobs importing the task scripts - theme assets live on the
+ *   CDN (another origin), so new Worker(assetUrl) is not allowed
+ * - Tasks are queued and spread over up to `size` workers, started on demand
+ * - Transferable ArrayBuffers in both directions (results are always transferred)
+ * - Progress events from running tasks, cancellation via AbortSignal
+ * Task scripts register their handlers when loaded inside a worker:
+ * PrinjektWorkerPool.register('measure', (payload, progress) => result);
+ * Usage:
+ * const pool = new PrinjektWorkerPool.WorkerPool([poolUrl, tasksUrl]);
+ * const result = await pool.run('measure', { positions }, { transfer: [positions.buffer], onProgress });
+ * ============================================================================
+ */
+
+(function(scope) {
+  'use strict';
+
+  const IN_WORKER = typeof window === 'undefined' && typeof importScripts === 'function';
+  const MAX_WORKERS = 4;
+
+  function abortError() {
+    return new DOMException('The operation was aborted', 'AbortError');
+  }
+
+  /**
+   * ArrayBuffers of all typed arrays in a value (nested objects and arrays)
+   * @returns {Array<ArrayBuffer>}
+   */
+  function collectTransferables(value, buffers = new Set()) {
+    if (!value || typeof value !== 'object') return Array.from(buffers);
+    if (value instanceof ArrayBuffer) {
+      buffers.add(value);
+    } else if (ArrayBuffer.isView(value)) {
+      buffers.add(value.buffer);
+    } else {
+      Object.values(value).forEach(item => collectTransferables(item, buffers));
+    }
+    return Array.from(buffers);
+  }
+
+  // ========== WORKER SIDE ==========
+  const handlers = {};
+
+  /**
+   * Register a task handler (inside the worker)
+   * @param {string} task - Task name used by WorkerPool.run
+   * @param {Function} handler - (payload, progress(stage, loaded, total)) => result or Promise
+   */
+  function register(task, handler) {
+    handlers[task] = handler;
+  }
+
+  if (IN_WORKER) {
+    scope.addEventListener('message', async (event) => {
+      const { id, task, payload } = event.data;
+      const progress = (stage, loaded = null, total = null) => {
+        scope.postMessage({ id, progress: { stage, loaded, total } });
+      };
+      try {
+        if (!handlers[task]) throw new Error(`Unknown worker task "${task}"`);
+        const result = await handlers[task](payload, progress);
+        scope.postMessage({ id, result }, collectTransferables(result));
+      } catch (error) {
+        scope.postMessage({ id, error: error.message || String(error) });
+      }
+    });
+  }
+
+  // ========== POOL ==========
+  class WorkerPool {
+    /**
+     * @param {Array<string>} scripts - Imported by every worker: this file first, then the task scripts
+     * @param {Object} [options]
+     * @param {number} [options.size] - Max workers (default: CPU cores - 1, 1-4)
+     */
+    constructor(scripts, options = {}) {
+      const urls = scripts.map(url => JSON.stringify(new URL(url, scope.location.href).href));
+      this.url = URL.createObjectURL(new Blob([`importScripts(${urls.join(', ')});`], { type: 'text/javascript' }));
+      const cores = navigator.hardwareConcurrency || 2;
+      this.size = options.size || Math.min(Math.max(cores - 1, 1), MAX_WORKERS);
+      this.slots = [];
+      this.queue = [];
+      this.taskCounter = 0;
+      // Set when a worker failed to start (e.g. scripts blocked) - callers fall back to the main thread
+      this.broken = false;
+      this.terminated = false;
+    }
+
+    /**
+     * Run a task on the next free worker
+     * @param {string} task - Registered task name
+     * @param {Object} payload - Task input (structured clone)
+     * @param {Object} [options]
+     * @param {Array<ArrayBuffer>} [options.transfer] - Buffers moved to the worker instead of copied
+     * @param {AbortSignal} [options.signal] - Cancels the task (a running worker is replaced)
+     * @param {Function} [options.onProgress] - Called with { stage, loaded, total }
+     * @returns {Promise<*>} Task result
+     */
+    run(task, payload, options = {}) {
+      if (this.broken || this.terminated) {
+        return Promise.reject(new Error('Worker pool is not available'));
+      }
+      const { transfer = [], signal, onProgress } = options;
+      if (signal && signal.aborted) {
+        return Promise.reject(abortError());
+      }
+      return new Promise((resolve, reject) => {
+        const job = { id: ++this.taskCounter, task, payload, transfer, onProgress, resolve, reject, signal, onAbort: null };
+        if (signal) {
+          job.onAbort = () => this._cancel(job);
+          signal.addEventListener('abort', job.onAbort, { once: true });
+        }
+        this.queue.push(job);
+        this._dispatch();
+      });
+    }
+
+    _dispatch() {
+      while (this.queue.length > 0) {
+        let slot = this.slots.find(candidate => !candidate.job);
+        if (!slot && this.slots.length < this.size) slot = this._spawn();
+        if (!slot) return;
+        const job = this.queue.shift();
+        slot.job = job;
+        slot.worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, job.transfer);
+      }
+    }
+
+    _spawn() {
+      const slot = { worker: new Worker(this.url), job: null };
+      slot.worker.addEventListener('message', (event) => {
+        const { id, progress, result, error } = event.data;
+        const job = slot.job;
+        if (!job || job.id !== id) return;
+        if (progress) {
+          if (job.onProgress) job.onProgress(progress);
+          return;
+        }
+        slot.job = null;
+        this._release(job);
+        if (error) job.reject(new Error(error));
+        else job.resolve(result);
+        this._dispatch();
+      });
+      // Only fires for failures outside a task - usually the scripts could not be imported
+      slot.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        this.broken = true;
+        console.warn('[Prinjekt Workers] Worker failed:', event.message || 'script error');
+        this.terminate(new Error(`Worker failed: ${event.message || 'script error'}`));
+      });
+      this.slots.push(slot);
+      return slot;
+    }
+
+    _release(job) {
+      if (job.signal && job.onAbort) job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    /**
+     * Drop a queued task, or stop the worker running it (there is no other way to interrupt it)
+     */
+    _cancel(job) {
+      const queued = this.queue.indexOf(job);
+      if (queued !== -1) {
+        this.queue.splice(queued, 1);
+      } else {
+        const slot = this.slots.find(candidate => candidate.job === job);
+        if (!slot) return;
+        slot.worker.terminate();
+        this.slots.splice(this.slots.indexOf(slot), 1);
+      }
+      job.reject(abortError());
+      this._dispatch();
+    }
+
+    /**
+     * Stop all workers - queued and running tasks are rejected
+     * @param {Error} [reason]
+     */
+    terminate(reason = new Error('Worker pool terminated')) {
+      if (this.terminated) return;
+      this.terminated = true;
+      this.slots.forEach(slot => {
+        slot.worker.terminate();
+        if (slot.job) {
+          this._release(slot.job);
+          slot.job.reject(reason);
+        }
+      });
+      this.queue.forEach(job => {
+        this._release(job);
+        job.reject(reason);
+      });
+      this.slots = [];
+      this.queue = [];
+      URL.revokeObjectURL(this.url);
+    }
+  }
+
+  // ========== EXPORT ==========
+  scope.PrinjektWorkerPool = {
+    WorkerPool,
+    register,
+    collectTransferables
+  };
+
+  console.log('[Prinjekt Workers] Module loaded');
+
+})(typeof window !== 'undefined' ? window : self);